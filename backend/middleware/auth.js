@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const AgentKey = require('../models/AgentKey');
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Extract the agent key from X-API-Key or Authorization: Bearer
+ */
+function getAgentKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const auth = req.get('Authorization') || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+
+  return null;
+}
+
+/**
+ * True when the request carries the configured admin token
+ */
+function isAdminRequest(req) {
+  const token = process.env.ADMIN_TOKEN;
+  const provided = req.get('X-Admin-Token');
+  return Boolean(token && provided && safeEqual(provided, token));
+}
+
+/**
+ * Require the X-Admin-Token header to match ADMIN_TOKEN
+ * Admin endpoints are disabled entirely when ADMIN_TOKEN is not set
+ */
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(503).json({
+      success: false,
+      message: 'Admin API is disabled: ADMIN_TOKEN is not configured'
+    });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or missing admin token'
+    });
+  }
+
+  req.isAdmin = true;
+  next();
+}
+
+/**
+ * Authenticate a reporting agent by its API key
+ * Sets req.agent = { keyId, pcId }. Requests carrying the admin token are
+ * let through with req.isAdmin = true so admins can write on behalf of any PC.
+ */
+async function requireAgentKey(req, res, next) {
+  if (isAdminRequest(req)) {
+    req.isAdmin = true;
+    return next();
+  }
+
+  const key = getAgentKey(req);
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      message: 'Missing agent API key (X-API-Key header)'
+    });
+  }
+
+  try {
+    const record = await AgentKey.findByKey(key);
+
+    if (!record) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unknown agent API key'
+      });
+    }
+
+    if (record.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Agent API key has been revoked'
+      });
+    }
+
+    req.agent = { keyId: record._id, pcId: record.pcId };
+
+    // Bookkeeping only, never block the request on it
+    AgentKey.updateOne({ _id: record._id }, { lastUsedAt: new Date() })
+      .catch(error => console.error('Error updating key lastUsedAt:', error));
+
+    next();
+  } catch (error) {
+    console.error('Error authenticating agent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * True when the authenticated caller may write data for pcId
+ */
+function canWriteFor(req, pcId) {
+  return Boolean(req.isAdmin || (req.agent && req.agent.pcId === pcId));
+}
+
+module.exports = {
+  safeEqual,
+  requireAdmin,
+  requireAgentKey,
+  canWriteFor
+};
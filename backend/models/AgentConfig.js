@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Layers of agent configuration, least specific first; later layers override earlier ones
+const SCOPES = ['global', 'group', 'pc'];
+
+// Optional collectors an agent can be told to skip (cpu / ram / disk are always sent)
+const COLLECTORS = ['cpuCores', 'disks', 'network', 'swap', 'loadAvg', 'processes', 'custom'];
+
+/**
+ * AgentConfig Schema
+ * Centrally managed agent settings for the whole fleet, a group or one PC
+ * Only the settings present in a layer override the less specific layers; settings
+ * no layer sets keep the agent's own (.env) values
+ */
+const agentConfigSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      required: true,
+      enum: SCOPES
+    },
+
+    // Group name or pcId; null for the global layer
+    target: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    settings: {
+      // Milliseconds between samples
+      collectionInterval: { type: Number, min: 5000, max: 24 * 60 * 60 * 1000 },
+
+      verbose: Boolean,
+
+      // Processes reported by CPU and by memory (0 disables the snapshot)
+      topProcesses: { type: Number, min: 0, max: 50 },
+
+      // Per collector: false skips it
+      collectors: Object.fromEntries(COLLECTORS.map(name => [name, Boolean])),
+
+      retry: {
+        maxRetries: { type: Number, min: 1, max: 10 },
+        retryDelay: { type: Number, min: 0, max: 10 * 60 * 1000 } // ms, multiplied by the attempt number
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/* ================= INDEXES ================= */
+
+agentConfigSchema.index({ scope: 1, target: 1 }, { unique: true });
+
+const AgentConfig = mongoose.model('AgentConfig', agentConfigSchema);
+
+AgentConfig.SCOPES = SCOPES;
+AgentConfig.COLLECTORS = COLLECTORS;
+
+module.exports = AgentConfig;
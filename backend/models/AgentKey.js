@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * AgentKey Schema
+ * Per-agent API keys bound to a single pcId.
+ * Only a SHA-256 hash of the key is stored; the plaintext is returned once on issue.
+ */
+const agentKeySchema = new mongoose.Schema(
+  {
+    // PC this key is allowed to report for
+    pcId: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    // SHA-256 hash of the key (never returned by queries)
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+
+    // First characters of the key, used to identify it in listings
+    prefix: {
+      type: String,
+      required: true
+    },
+
+    // Optional admin note (e.g. "enrolled", "rotated")
+    label: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+
+    status: {
+      type: String,
+      enum: ['active', 'revoked'],
+      default: 'active'
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/* ================= INDEXES ================= */
+
+agentKeySchema.index({ pcId: 1, status: 1 });
+
+// At most one active key per PC, also under concurrent enroll / issue requests
+agentKeySchema.index(
+  { pcId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+/* ================= STATIC METHODS ================= */
+
+/**
+ * Hash a plaintext key for storage / lookup
+ */
+agentKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Issue a new active key for a PC
+ * Resolves to { record, key } where key is the plaintext (shown once)
+ */
+agentKeySchema.statics.issue = async function (pcId, label = '') {
+  const key = `pcm_${crypto.randomBytes(24).toString('hex')}`;
+
+  const record = await this.create({
+    pcId,
+    keyHash: this.hashKey(key),
+    prefix: key.slice(0, 12),
+    label
+  });
+
+  return { record, key };
+};
+
+/**
+ * Whether an error is the duplicate key error of a second active key for a PC
+ */
+agentKeySchema.statics.isActiveKeyConflict = function (error) {
+  return error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.pcId);
+};
+
+/**
+ * Find the key record matching a plaintext key (any status)
+ */
+agentKeySchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: this.hashKey(key) });
+};
+
+/* ================= INSTANCE METHODS ================= */
+
+/**
+ * Mark this key as revoked
+ */
+agentKeySchema.methods.revoke = function () {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Revoke this key and issue a replacement for the same PC
+ * Only one key may be active per PC, so the old key is revoked first; when
+ * issuing fails it is made active again, so the PC isn't left without a key.
+ * Resolves to { record, key } like issue()
+ */
+agentKeySchema.methods.rotate = async function (label = '') {
+  const { status, revokedAt } = this;
+  await this.revoke();
+
+  try {
+    return await this.constructor.issue(this.pcId, label);
+  } catch (error) {
+    this.status = status;
+    this.revokedAt = revokedAt;
+    try {
+      await this.save();
+    } catch (restoreError) {
+      // A conflict here means the PC got another active key meanwhile
+      if (!this.constructor.isActiveKeyConflict(restoreError)) {
+        console.error('Error restoring agent key after failed rotation:', restoreError);
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('AgentKey', agentKeySchema);
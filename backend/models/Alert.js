@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Alert lifecycle: pending -> firing -> resolved
+// (a pending alert whose condition clears before firing goes straight to resolved)
+const STATES = ['pending', 'firing', 'resolved'];
+
+/**
+ * Alert Schema
+ * Current state of one alert rule for one PC
+ */
+const alertSchema = new mongoose.Schema(
+  {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertRule',
+      required: true
+    },
+
+    pcId: {
+      type: String,
+      required: true
+    },
+
+    state: {
+      type: String,
+      enum: STATES,
+      required: true
+    },
+
+    // Sample time the condition first held in the current episode
+    pendingSince: {
+      type: Date,
+      default: null
+    },
+
+    firedAt: {
+      type: Date,
+      default: null
+    },
+
+    resolvedAt: {
+      type: Date,
+      default: null
+    },
+
+    // Latest value of the rule's metric and the sample time it came from
+    lastValue: Number,
+    lastEvaluatedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+/* ================= INDEXES ================= */
+
+alertSchema.index({ ruleId: 1, pcId: 1 }, { unique: true });
+alertSchema.index({ state: 1, pcId: 1 });
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+Alert.STATES = STATES;
+
+module.exports = Alert;
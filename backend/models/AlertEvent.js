@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * AlertEvent Schema
+ * Append-only log of alert state transitions
+ */
+const alertEventSchema = new mongoose.Schema(
+  {
+    alertId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert',
+      required: true
+    },
+
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertRule',
+      required: true
+    },
+
+    // Rule details copied at transition time so history survives rule edits
+    ruleName: String,
+    metric: String,
+    operator: String,
+    threshold: Number,
+    severity: String,
+
+    pcId: {
+      type: String,
+      required: true
+    },
+
+    // Previous state (null for the first transition of an alert)
+    from: {
+      type: String,
+      default: null
+    },
+
+    to: {
+      type: String,
+      required: true
+    },
+
+    // Metric value of the sample that caused the transition (the last value seen
+    // for alerts resolved along with their rule)
+    value: Number,
+
+    // Sample time of the transition (measuredAt of the triggering sample); for
+    // alerts resolved by disabling or deleting their rule, the time that happened
+    at: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/* ================= INDEXES ================= */
+
+alertEventSchema.index({ pcId: 1, at: -1 });
+alertEventSchema.index({ ruleId: 1, at: -1 });
+
+module.exports = mongoose.model('AlertEvent', alertEventSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Sample fields a rule can watch
+const METRICS = ['cpu', 'ram', 'disk'];
+
+// Supported comparisons
+const OPERATORS = ['>', '>=', '<', '<='];
+
+/**
+ * AlertRule Schema
+ * Threshold rules evaluated against every ingested sample, e.g.
+ * "cpu > 90 for 5 minutes on PCs tagged build-server"
+ */
+const alertRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+
+    metric: {
+      type: String,
+      required: true,
+      enum: METRICS
+    },
+
+    operator: {
+      type: String,
+      required: true,
+      enum: OPERATORS,
+      default: '>'
+    },
+
+    threshold: {
+      type: Number,
+      required: true
+    },
+
+    // How long (seconds) the condition must hold before the alert fires; 0 fires immediately
+    duration: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+
+    // Which PCs the rule applies to; both lists empty means every PC
+    scope: {
+      pcIds: { type: [String], default: [] },
+      tags: { type: [{ type: String, trim: true, lowercase: true }], default: [] }
+    },
+
+    severity: {
+      type: String,
+      enum: ['warning', 'critical'],
+      default: 'warning'
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/* ================= INSTANCE METHODS ================= */
+
+/**
+ * Whether the rule applies to a PC with the given tags
+ */
+alertRuleSchema.methods.appliesTo = function (pcId, tags = []) {
+  const { pcIds, tags: ruleTags } = this.scope;
+
+  if (pcIds.length > 0 && !pcIds.includes(pcId)) return false;
+  if (ruleTags.length > 0 && !ruleTags.some(tag => tags.includes(tag))) return false;
+
+  return true;
+};
+
+/**
+ * Whether a value breaches the threshold
+ */
+alertRuleSchema.methods.isBreached = function (value) {
+  if (typeof value !== 'number') return false;
+
+  switch (this.operator) {
+    case '>': return value > this.threshold;
+    case '>=': return value >= this.threshold;
+    case '<': return value < this.threshold;
+    case '<=': return value <= this.threshold;
+    default: return false;
+  }
+};
+
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+
+AlertRule.METRICS = METRICS;
+AlertRule.OPERATORS = OPERATORS;
+
+module.exports = AlertRule;
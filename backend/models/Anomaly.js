@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// How long flagged anomalies are kept
+const ANOMALY_RETENTION_DAYS = parseFloat(process.env.ANOMALY_RETENTION_DAYS) || 30;
+
+/**
+ * Anomaly Schema
+ * A sample whose metric deviated from the PC's baseline by at least ANOMALY_SIGMA
+ */
+const anomalySchema = new mongoose.Schema(
+  {
+    pcId: {
+      type: String,
+      required: true
+    },
+
+    metric: {
+      type: String,
+      required: true
+    },
+
+    // Sample value and the baseline it was compared with
+    value: Number,
+    expected: Number,
+    stdDev: Number,
+
+    // Deviation in standard deviations (negative below the baseline)
+    score: Number,
+
+    direction: {
+      type: String,
+      enum: ['high', 'low']
+    },
+
+    // Baseline mode in use when flagged (ewma | seasonal)
+    mode: String,
+
+    measuredAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+/* ================= INDEXES ================= */
+
+anomalySchema.index({ pcId: 1, measuredAt: -1 });
+
+// Auto-delete after ANOMALY_RETENTION_DAYS (TTL index)
+anomalySchema.index(
+  { measuredAt: 1 },
+  { expireAfterSeconds: Math.round(ANOMALY_RETENTION_DAYS * 24 * 60 * 60) }
+);
+
+const Anomaly = mongoose.model('Anomaly', anomalySchema);
+
+Anomaly.RETENTION_DAYS = ANOMALY_RETENTION_DAYS;
+
+module.exports = Anomaly;
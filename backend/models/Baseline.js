@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Baseline Schema
+ * Rolling mean / variance of one metric of one PC, used to spot anomalies
+ * EWMA baselines use slot -1; seasonal baselines keep one per hour of day (0-23, UTC)
+ */
+const baselineSchema = new mongoose.Schema(
+  {
+    pcId: {
+      type: String,
+      required: true
+    },
+
+    metric: {
+      type: String,
+      required: true
+    },
+
+    slot: {
+      type: Number,
+      min: -1,
+      max: 23,
+      default: -1
+    },
+
+    mean: {
+      type: Number,
+      default: 0
+    },
+
+    variance: {
+      type: Number,
+      default: 0
+    },
+
+    // Samples folded in so far (no anomalies are flagged during warm-up)
+    count: {
+      type: Number,
+      default: 0
+    },
+
+    // measuredAt of the newest folded sample; older (replayed) samples are skipped
+    lastMeasuredAt: Date
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+/* ================= INDEXES ================= */
+
+baselineSchema.index({ pcId: 1, metric: 1, slot: 1 }, { unique: true });
+
+module.exports = mongoose.model('Baseline', baselineSchema);
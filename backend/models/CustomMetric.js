@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// How long custom metric values are kept
+const CUSTOM_METRIC_RETENTION_DAYS = parseFloat(process.env.CUSTOM_METRIC_RETENTION_DAYS) || 30;
+
+// Names accepted for custom metrics, e.g. "build.queue_length"
+const NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+
+/**
+ * CustomMetric Schema
+ * One value of a named numeric metric reported by an agent plugin
+ * (e.g. build queue length, render jobs), stored next to the fixed sample fields
+ */
+const customMetricSchema = new mongoose.Schema(
+  {
+    pcId: {
+      type: String,
+      required: true
+    },
+
+    name: {
+      type: String,
+      required: true,
+      match: NAME_PATTERN
+    },
+
+    value: {
+      type: Number,
+      required: true
+    },
+
+    // measuredAt of the sample the value came with
+    measuredAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+/* ================= INDEXES ================= */
+
+// History of one metric of one PC; also serves the per-metric name listing
+customMetricSchema.index({ name: 1, pcId: 1, measuredAt: -1 });
+
+// Auto-delete after CUSTOM_METRIC_RETENTION_DAYS (TTL index)
+customMetricSchema.index(
+  { measuredAt: 1 },
+  { expireAfterSeconds: Math.round(CUSTOM_METRIC_RETENTION_DAYS * 24 * 60 * 60) }
+);
+
+const CustomMetric = mongoose.model('CustomMetric', customMetricSchema);
+
+CustomMetric.RETENTION_DAYS = CUSTOM_METRIC_RETENTION_DAYS;
+CustomMetric.NAME_PATTERN = NAME_PATTERN;
+
+module.exports = CustomMetric;
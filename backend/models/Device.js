@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+
+// Static hardware / software inventory, reported by the agent at startup
+const inventorySchema = new mongoose.Schema(
+  {
+    cpu: {
+      manufacturer: String,
+      brand: String,
+      cores: Number,          // logical cores
+      physicalCores: Number,
+      speed: Number           // GHz
+    },
+
+    // Total RAM in bytes
+    totalRam: Number,
+
+    // Physical disks (bytes)
+    disks: [{
+      _id: false,
+      name: String,
+      type: { type: String }, // HDD / SSD / NVMe ("type" alone would declare the path type)
+      size: Number
+    }],
+
+    os: {
+      platform: String,
+      distro: String,
+      release: String,
+      kernel: String,
+      arch: String,
+      hostname: String
+    },
+
+    // Network interfaces with their addresses (loopback excluded)
+    interfaces: [{
+      _id: false,
+      iface: String,
+      ip4: String,
+      ip6: String,
+      mac: String
+    }],
+
+    agentVersion: String,
+
+    // When the agent last reported its inventory
+    reportedAt: Date
+  },
+  { _id: false }
+);
+
+/**
+ * Device Schema
+ * Per-PC metadata that does not change with every sample
+ */
+const deviceSchema = new mongoose.Schema(
+  {
+    // PC identifier, same as SystemInfo.pcId
+    pcId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+
+    /* ----- Editable by users (PATCH /api/devices/:pcId) ----- */
+
+    // Human-friendly name shown instead of the pcId
+    displayName: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    location: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    owner: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    // Fleet group the PC belongs to (e.g. "build-servers", "lab", "office")
+    group: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    // Free-form labels used to target alert rules (e.g. "build-server")
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      default: []
+    },
+
+    /* ----- Reported by the agent ----- */
+
+    inventory: {
+      type: inventorySchema,
+      default: null
+    },
+
+    // measuredAt of the newest sample received from this PC
+    lastSeen: {
+      type: Date,
+      default: null
+    },
+
+    // Seconds between reports, as last announced by the agent
+    reportInterval: {
+      type: Number,
+      default: null
+    },
+
+    // Last status computed by the presence sweep (services/presence.js);
+    // API responses recompute it from lastSeen so it is never out of date
+    status: {
+      type: String,
+      enum: ['online', 'stale', 'offline'],
+      default: 'offline'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/* ================= INDEXES ================= */
+
+deviceSchema.index({ tags: 1 });
+deviceSchema.index({ group: 1 });
+deviceSchema.index({ status: 1, lastSeen: 1 });
+
+/* ================= STATIC METHODS ================= */
+
+/**
+ * Tags of a PC (empty when the PC has no device record)
+ */
+deviceSchema.statics.getTags = async function (pcId) {
+  const device = await this.findOne({ pcId }, { tags: 1 }).lean();
+  return device ? device.tags : [];
+};
+
+/**
+ * Build the device query for a group and / or tag filter ({} when neither is given)
+ * An empty group (`?group=`) selects PCs without a group
+ */
+deviceSchema.statics.buildDeviceFilter = function ({ group, tag } = {}) {
+  const filter = {};
+  if (group !== undefined && group !== null) filter.group = group || null;
+  if (tag) filter.tags = String(tag).toLowerCase();
+  return filter;
+};
+
+/**
+ * Build the pcId condition for read queries filtered by PC, group and / or tag
+ * Returns null when no filter is given, otherwise a value for a `pcId` query field
+ * (the pcId itself, or { $in: [...] } with the PCs in the group / with the tag)
+ */
+deviceSchema.statics.buildPcIdFilter = async function ({ pcId, group, tag } = {}) {
+  const filter = this.buildDeviceFilter({ group, tag });
+  if (Object.keys(filter).length === 0) return pcId || null;
+
+  const pcIds = await this.distinct('pcId', filter);
+  return { $in: pcId ? pcIds.filter(id => id === pcId) : pcIds };
+};
+
+/**
+ * Add device details (display name, location, owner, group, tags, inventory) to
+ * per-PC records such as latest samples, as a `device` field (null when unknown)
+ */
+deviceSchema.statics.withDeviceInfo = async function (records) {
+  const pcIds = records.map(record => record.pcId);
+  const devices = await this.find(
+    { pcId: { $in: pcIds } },
+    { pcId: 1, displayName: 1, location: 1, owner: 1, group: 1, tags: 1, inventory: 1 }
+  ).lean();
+  const byPcId = new Map(devices.map(device => [device.pcId, device]));
+
+  return records.map(record => {
+    const plain = typeof record.toObject === 'function' ? record.toObject() : record;
+    const device = byPcId.get(record.pcId);
+    if (!device) return { ...plain, device: null };
+
+    const { displayName, location, owner, group, tags, inventory } = device;
+    return { ...plain, device: { displayName, location, owner, group, tags, inventory } };
+  });
+};
+
+module.exports = mongoose.model('Device', deviceSchema);
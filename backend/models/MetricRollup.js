@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rollup tiers: bucket size and how long buckets are kept
+const RESOLUTIONS = {
+  '5m': {
+    bucketMs: 5 * 60 * 1000,
+    retentionMs: (parseFloat(process.env.ROLLUP_5M_RETENTION_DAYS) || 7) * DAY_MS
+  },
+  '1h': {
+    bucketMs: 60 * 60 * 1000,
+    retentionMs: (parseFloat(process.env.ROLLUP_1H_RETENTION_DAYS) || 90) * DAY_MS
+  }
+};
+
+// Metrics summarised in each bucket
+const METRICS = ['cpu', 'ram', 'disk'];
+
+// min / avg / max of one metric over a bucket; sum keeps avg exact as samples are folded in
+const statsSchema = new mongoose.Schema(
+  {
+    min: Number,
+    avg: Number,
+    max: Number,
+    sum: Number
+  },
+  { _id: false }
+);
+
+/**
+ * MetricRollup Schema
+ * Per-PC summaries of raw samples over fixed time buckets (5 minutes, 1 hour)
+ */
+const metricRollupSchema = new mongoose.Schema(
+  {
+    resolution: {
+      type: String,
+      enum: Object.keys(RESOLUTIONS),
+      required: true
+    },
+
+    pcId: {
+      type: String,
+      required: true
+    },
+
+    // Start of the bucket (measuredAt of the samples, truncated)
+    bucketStart: {
+      type: Date,
+      required: true
+    },
+
+    // Number of raw samples folded into the bucket
+    count: {
+      type: Number,
+      default: 0
+    },
+
+    cpu: statsSchema,
+    ram: statsSchema,
+    disk: statsSchema,
+
+    // Latest ingest time (createdAt) of the folded samples
+    lastIngestedAt: Date,
+
+    // bucketStart + the tier's retention
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+/* ================= INDEXES ================= */
+
+// One bucket per tier and PC; also serves history queries
+metricRollupSchema.index({ resolution: 1, pcId: 1, bucketStart: 1 }, { unique: true });
+
+// Rollup job resumes from the latest folded sample
+metricRollupSchema.index({ resolution: 1, lastIngestedAt: -1 });
+
+// Each tier expires after its own retention period
+metricRollupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/* ================= STATIC METHODS ================= */
+
+/**
+ * Buckets of one PC and tier over the `hours` before `until` (default: now), oldest first
+ */
+metricRollupSchema.statics.getHistoricalData = function (pcId, resolution, hours, until = null) {
+  const end = until || new Date();
+  const cutoff = new Date(end.getTime() - hours * 60 * 60 * 1000);
+
+  const bucketStart = { $gte: cutoff };
+  if (until) bucketStart.$lte = until;
+
+  return this.find({
+    resolution,
+    pcId,
+    bucketStart
+  }).sort({ bucketStart: 1 });
+};
+
+const MetricRollup = mongoose.model('MetricRollup', metricRollupSchema);
+
+MetricRollup.RESOLUTIONS = RESOLUTIONS;
+MetricRollup.METRICS = METRICS;
+
+module.exports = MetricRollup;
@@ -1,5 +1,62 @@
 const mongoose = require('mongoose');
 
+// How long raw samples are kept after they are stored; older history comes from rollups (MetricRollup)
+const RAW_RETENTION_HOURS = parseFloat(process.env.RAW_RETENTION_HOURS) || 24;
+
+// Metrics the agent may sample locally between reports and summarize
+const SUMMARY_METRICS = ['cpu', 'ram'];
+
+// One metric sampled locally between two reports (percentages)
+const summarySchema = new mongoose.Schema(
+  {
+    min: { type: Number, min: 0, max: 100 },
+    avg: { type: Number, min: 0, max: 100 },
+    max: { type: Number, min: 0, max: 100 },
+    last: { type: Number, min: 0, max: 100 },
+    samples: { type: Number, min: 1 } // local readings summarized
+  },
+  { _id: false }
+);
+
+// One mounted filesystem (bytes)
+const diskSchema = new mongoose.Schema(
+  {
+    mount: { type: String, required: true },
+    fs: String,
+    type: { type: String }, // filesystem type ("type" alone would declare the path type)
+    used: { type: Number, min: 0 },
+    total: { type: Number, min: 0 },
+    usage: { type: Number, min: 0, max: 100 }
+  },
+  { _id: false }
+);
+
+// One network interface: throughput since the previous sample (bytes/second)
+// and counters since boot (bytes)
+const networkSchema = new mongoose.Schema(
+  {
+    iface: { type: String, required: true },
+    rxSec: { type: Number, min: 0, default: null },
+    txSec: { type: Number, min: 0, default: null },
+    rxBytes: { type: Number, min: 0 },
+    txBytes: { type: Number, min: 0 }
+  },
+  { _id: false }
+);
+
+// One entry of the top-processes snapshot
+const processSchema = new mongoose.Schema(
+  {
+    pid: Number,
+    name: String,
+    user: String,
+    cpu: { type: Number, min: 0 },     // % of total CPU
+    mem: { type: Number, min: 0 },     // % of RAM
+    memRss: { type: Number, min: 0 }   // resident memory (bytes)
+  },
+  { _id: false }
+);
+
 /**
  * SystemInfo Schema
  * Stores monitoring data sent from client PCs
@@ -48,6 +105,69 @@ const systemInfoSchema = new mongoose.Schema(
       type: Number,
       required: true,
       min: 0
+    },
+
+    /* ----- Extended metrics (optional, sent by newer agents) ----- */
+
+    // Load percentage of each logical core
+    cpuCores: {
+      type: [Number],
+      default: undefined
+    },
+
+    // Every mounted filesystem
+    disks: {
+      type: [diskSchema],
+      default: undefined
+    },
+
+    // Network interfaces (loopback excluded)
+    network: {
+      type: [networkSchema],
+      default: undefined
+    },
+
+    // Swap space (bytes); absent when the PC has no swap
+    swap: {
+      used: { type: Number, min: 0 },
+      total: { type: Number, min: 0 },
+      usage: { type: Number, min: 0, max: 100 }
+    },
+
+    // 1 / 5 / 15 minute load average (not reported on Windows)
+    loadAvg: {
+      type: [Number],
+      default: undefined
+    },
+
+    // Local high-frequency sampling since the previous report; cpu / ram then hold
+    // the averages and this keeps the spikes
+    summary: Object.fromEntries(SUMMARY_METRICS.map(metric => [metric, { type: summarySchema, default: undefined }])),
+
+    // Top processes by CPU and by memory at measuredAt
+    topProcesses: {
+      byCpu: { type: [processSchema], default: undefined },
+      byMem: { type: [processSchema], default: undefined }
+    },
+
+    // Agent's reporting interval in seconds (used to tell stale / offline PCs)
+    interval: {
+      type: Number,
+      min: 1
+    },
+
+    // Version of the central agent config the agent ran with (services/agentConfig.js)
+    configVersion: {
+      type: String,
+      default: undefined
+    },
+
+    // When the sample was collected on the PC (may be earlier than createdAt
+    // for samples replayed after an outage or imported from other tools)
+    measuredAt: {
+      type: Date,
+      required: true,
+      default: Date.now
     }
   },
   {
@@ -58,22 +178,26 @@ const systemInfoSchema = new mongoose.Schema(
 /* ================= INDEXES ================= */
 
 // Fast latest-PC dashboard queries
-systemInfoSchema.index({ pcId: 1, createdAt: -1 });
+systemInfoSchema.index({ pcId: 1, measuredAt: -1 });
 
-// Auto-delete old records after 24 hours (TTL index)
+// Auto-delete records RAW_RETENTION_HOURS after they were stored (TTL index); also
+// lets the rollup job scan samples by ingest time. Keyed by createdAt rather than
+// measuredAt so samples replayed after a long outage live long enough to be rolled up
 systemInfoSchema.index(
   { createdAt: 1 },
-  { expireAfterSeconds: 24 * 60 * 60 }
+  { expireAfterSeconds: Math.round(RAW_RETENTION_HOURS * 60 * 60) }
 );
 
 /* ================= STATIC METHODS ================= */
 
 /**
  * Get latest data of all PCs (one record per PC)
+ * @param {string|Object} [pcIdFilter] - Restrict to these PCs (see Device.buildPcIdFilter)
  */
-systemInfoSchema.statics.getLatestData = function () {
+systemInfoSchema.statics.getLatestData = function (pcIdFilter) {
   return this.aggregate([
-    { $sort: { pcId: 1, createdAt: -1 } },
+    ...(pcIdFilter ? [{ $match: { pcId: pcIdFilter } }] : []),
+    { $sort: { pcId: 1, measuredAt: -1 } },
     {
       $group: {
         _id: '$pcId',
@@ -86,24 +210,46 @@ systemInfoSchema.statics.getLatestData = function () {
 
 /**
  * Get historical data of a specific PC (last N hours)
+ * Process snapshots are left out to keep history small; see getProcessSnapshot
  */
-systemInfoSchema.statics.getHistoricalData = function (pcId, hours = 24) {
-  const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
+systemInfoSchema.statics.getHistoricalData = function (pcId, hours = 24, until = null) {
+  const end = until || new Date();
+  const cutoff = new Date(end.getTime() - hours * 60 * 60 * 1000);
+
+  const measuredAt = { $gte: cutoff };
+  if (until) measuredAt.$lte = until;
 
   return this.find({
     pcId,
-    createdAt: { $gte: cutoff }
-  }).sort({ createdAt: 1 });
+    measuredAt
+  }, { topProcesses: 0 }).sort({ measuredAt: 1 });
+};
+
+/**
+ * Latest sample of a PC at or before `at` that carries a top-processes snapshot
+ */
+systemInfoSchema.statics.getProcessSnapshot = function (pcId, at = new Date()) {
+  return this.findOne(
+    {
+      pcId,
+      measuredAt: { $lte: at },
+      topProcesses: { $exists: true }
+    },
+    { pcId: 1, measuredAt: 1, cpu: 1, ram: 1, topProcesses: 1 }
+  ).sort({ measuredAt: -1 });
 };
 
 /**
  * Overview statistics for dashboard
+ * @param {string|Object} [pcIdFilter] - Restrict to these PCs (see Device.buildPcIdFilter)
  */
-systemInfoSchema.statics.getOverviewStats = function () {
+systemInfoSchema.statics.getOverviewStats = function (pcIdFilter) {
   const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const match = { measuredAt: { $gte: cutoff } };
+  if (pcIdFilter) match.pcId = pcIdFilter;
 
   return this.aggregate([
-    { $match: { createdAt: { $gte: cutoff } } },
+    { $match: match },
     {
       $group: {
         _id: null,
@@ -125,4 +271,40 @@ systemInfoSchema.statics.getOverviewStats = function () {
   ]);
 };
 
-module.exports = mongoose.model('SystemInfo', systemInfoSchema);
+/**
+ * Per-PC sums and sample counts over the last 24 hours
+ * Lets callers combine overview averages for any set of PCs (e.g. per group)
+ */
+systemInfoSchema.statics.getOverviewTotalsByPc = function () {
+  const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  return this.aggregate([
+    { $match: { measuredAt: { $gte: cutoff } } },
+    {
+      $group: {
+        _id: '$pcId',
+        sumCpu: { $sum: '$cpu' },
+        sumRam: { $sum: '$ram' },
+        sumDisk: { $sum: '$disk' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+/**
+ * Fill measuredAt on samples stored before the field existed
+ */
+systemInfoSchema.statics.backfillMeasuredAt = function () {
+  return this.updateMany(
+    { measuredAt: { $exists: false } },
+    [{ $set: { measuredAt: '$createdAt' } }]
+  );
+};
+
+const SystemInfo = mongoose.model('SystemInfo', systemInfoSchema);
+
+SystemInfo.RAW_RETENTION_HOURS = RAW_RETENTION_HOURS;
+SystemInfo.SUMMARY_METRICS = SUMMARY_METRICS;
+
+module.exports = SystemInfo;
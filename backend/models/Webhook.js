@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Events a webhook can subscribe to
+const EVENTS = ['alert.pending', 'alert.firing', 'alert.resolved', 'pc.stale', 'pc.offline', 'pc.online'];
+
+/**
+ * Webhook Schema
+ * Outbound HTTP destinations notified on alert transitions and PC state changes
+ */
+const webhookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      match: [/^https?:\/\//, 'url must start with http:// or https://']
+    },
+
+    events: {
+      type: [{ type: String, enum: EVENTS }],
+      default: ['alert.firing', 'alert.resolved', 'pc.offline', 'pc.online']
+    },
+
+    // Extra request headers (e.g. Authorization for the receiver)
+    headers: {
+      type: Map,
+      of: String,
+      default: {}
+    },
+
+    // Optional JSON payload template with {{path}} placeholders, e.g.
+    // {"text": "{{ruleName}} is {{to}} on {{pcId}} ({{value}})"}
+    // When empty the default payload { event, timestamp, data } is sent.
+    template: {
+      type: String,
+      default: '',
+      validate: {
+        validator: value => {
+          if (!value) return true;
+          try {
+            JSON.parse(value);
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'template must be valid JSON'
+      }
+    },
+
+    // Shared secret for the X-Webhook-Signature HMAC header (never returned;
+    // responses carry hasSecret instead)
+    secret: {
+      type: String,
+      default: '',
+      select: false
+    },
+
+    maxAttempts: {
+      type: Number,
+      min: 1,
+      max: 20,
+      default: 5
+    },
+
+    enabled: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // select: false only applies to queries; documents from create / save still hold the secret
+      transform: (doc, ret) => {
+        if ('secret' in ret) {
+          ret.hasSecret = Boolean(ret.secret);
+          delete ret.secret;
+        }
+        return ret;
+      }
+    }
+  }
+);
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+Webhook.EVENTS = EVENTS;
+
+module.exports = Webhook;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookDelivery Schema
+ * Delivery log and retry queue for webhook notifications
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true
+    },
+
+    event: {
+      type: String,
+      required: true
+    },
+
+    // Rendered request body
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'success', 'failed'],
+      default: 'pending'
+    },
+
+    attempts: {
+      type: Number,
+      default: 0
+    },
+
+    // When the next attempt is due (pending deliveries only)
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    responseStatus: {
+      type: Number,
+      default: null
+    },
+
+    lastError: {
+      type: String,
+      default: null
+    },
+
+    deliveredAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/* ================= INDEXES ================= */
+
+// Retry queue scan
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Delivery log per webhook
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+// Keep the delivery log for 7 days
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
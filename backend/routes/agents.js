@@ -0,0 +1,460 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AgentKey = require('../models/AgentKey');
+const AgentConfig = require('../models/AgentConfig');
+const { safeEqual, requireAdmin, requireAgentKey } = require('../middleware/auth');
+const agentConfig = require('../services/agentConfig');
+
+/**
+ * Shape a key record for API responses (never includes the hash)
+ */
+function formatKey(record) {
+  return {
+    id: record._id,
+    pcId: record.pcId,
+    prefix: record.prefix,
+    label: record.label,
+    status: record.status,
+    lastUsedAt: record.lastUsedAt,
+    revokedAt: record.revokedAt,
+    createdAt: record.createdAt
+  };
+}
+
+/**
+ * Layer identity from /configs/:scope/:target? params
+ * @returns {{ scope, target }|{ error }}
+ */
+function parseLayer(params) {
+  const { scope, target } = params;
+
+  if (!AgentConfig.SCOPES.includes(scope)) {
+    return { error: `Invalid scope (${AgentConfig.SCOPES.join(', ')})` };
+  }
+  if (scope === 'global' && target) {
+    return { error: 'The global layer has no target' };
+  }
+  if (scope !== 'global' && !target) {
+    return { error: `Missing ${scope === 'pc' ? 'pcId' : 'group name'}` };
+  }
+
+  return { scope, target: scope === 'global' ? null : target };
+}
+
+// Settings a config layer may hold, and the keys of the nested ones
+const SETTINGS = {
+  collectionInterval: null,
+  verbose: null,
+  topProcesses: null,
+  collectors: AgentConfig.COLLECTORS,
+  retry: ['maxRetries', 'retryDelay']
+};
+
+/**
+ * Names of unknown settings in a layer body (typos would otherwise be dropped silently)
+ */
+function unknownSettings(body) {
+  const unknown = [];
+
+  for (const [key, value] of Object.entries(body)) {
+    if (!(key in SETTINGS)) {
+      unknown.push(key);
+    } else if (SETTINGS[key] && value && typeof value === 'object') {
+      unknown.push(...Object.keys(value).filter(name => !SETTINGS[key].includes(name)).map(name => `${key}.${name}`));
+    }
+  }
+
+  return unknown;
+}
+
+/**
+ * POST /api/agents/enroll
+ * Self-enrollment for new agents using the shared ENROLLMENT_TOKEN
+ * Body: { pcId, enrollmentToken }
+ * Only succeeds when the PC has no active key yet; use rotate otherwise.
+ */
+router.post('/enroll', async (req, res) => {
+  try {
+    const { pcId, enrollmentToken } = req.body;
+    const expected = process.env.ENROLLMENT_TOKEN;
+
+    if (!expected) {
+      return res.status(503).json({
+        success: false,
+        message: 'Enrollment is disabled: ENROLLMENT_TOKEN is not configured'
+      });
+    }
+
+    if (!pcId || !enrollmentToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: pcId, enrollmentToken'
+      });
+    }
+
+    if (!safeEqual(enrollmentToken, expected)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid enrollment token'
+      });
+    }
+
+    const existing = await AgentKey.findOne({ pcId, status: 'active' });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `PC ${pcId} is already enrolled; ask an admin to rotate its key`
+      });
+    }
+
+    const { record, key } = await AgentKey.issue(pcId, 'enrolled');
+
+    res.status(201).json({
+      success: true,
+      message: 'Agent enrolled successfully',
+      data: { ...formatKey(record), key }
+    });
+
+  } catch (error) {
+    if (AgentKey.isActiveKeyConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        message: `PC ${req.body.pcId} is already enrolled; ask an admin to rotate its key`
+      });
+    }
+
+    console.error('Error enrolling agent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/agents/keys
+ * Issue a key for a PC (admin)
+ * Body: { pcId, label? }
+ */
+router.post('/keys', requireAdmin, async (req, res) => {
+  try {
+    const { pcId, label } = req.body;
+
+    if (!pcId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: pcId'
+      });
+    }
+
+    const existing = await AgentKey.findOne({ pcId, status: 'active' });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `PC ${pcId} already has an active key; rotate or revoke it first`
+      });
+    }
+
+    const { record, key } = await AgentKey.issue(pcId, label);
+
+    res.status(201).json({
+      success: true,
+      message: 'Agent key issued successfully',
+      data: { ...formatKey(record), key }
+    });
+
+  } catch (error) {
+    if (AgentKey.isActiveKeyConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        message: `PC ${req.body.pcId} already has an active key; rotate or revoke it first`
+      });
+    }
+
+    console.error('Error issuing agent key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/agents/keys
+ * List keys (admin)
+ * Query params:
+ *   - pcId: Only keys for this PC
+ *   - status: active | revoked
+ */
+router.get('/keys', requireAdmin, async (req, res) => {
+  try {
+    const { pcId, status } = req.query;
+    const filter = {};
+
+    if (pcId) filter.pcId = pcId;
+    if (status) filter.status = status;
+
+    const keys = await AgentKey.find(filter).sort({ pcId: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: keys.map(formatKey),
+      count: keys.length
+    });
+
+  } catch (error) {
+    console.error('Error listing agent keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/agents/keys/:id/rotate
+ * Revoke an active key and issue a replacement for the same PC (admin)
+ * Revoked keys can't be rotated; issue a new key with POST /keys instead.
+ */
+router.post('/keys/:id/rotate', requireAdmin, async (req, res) => {
+  try {
+    const record = mongoose.isValidObjectId(req.params.id) ? await AgentKey.findById(req.params.id) : null;
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent key not found'
+      });
+    }
+
+    if (record.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only active keys can be rotated; issue a new key for the PC instead'
+      });
+    }
+
+    const { record: replacement, key } = await record.rotate(req.body.label || 'rotated');
+
+    res.status(201).json({
+      success: true,
+      message: 'Agent key rotated successfully',
+      data: { ...formatKey(replacement), key, replaces: record._id }
+    });
+
+  } catch (error) {
+    if (AgentKey.isActiveKeyConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The PC got another active key meanwhile; rotate that one'
+      });
+    }
+
+    console.error('Error rotating agent key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/agents/keys/:id
+ * Revoke a key (admin). The record is kept for auditing.
+ */
+router.delete('/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const record = mongoose.isValidObjectId(req.params.id) ? await AgentKey.findById(req.params.id) : null;
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent key not found'
+      });
+    }
+
+    if (record.status === 'active') {
+      await record.revoke();
+    }
+
+    res.json({
+      success: true,
+      message: 'Agent key revoked successfully',
+      data: formatKey(record)
+    });
+
+  } catch (error) {
+    console.error('Error revoking agent key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/agents/config
+ * Effective central config of the calling agent (agent key), or of any PC with
+ * the admin token and ?pcId=
+ * Response: { pcId, version, settings, sources } where sources lists the applied layers
+ */
+router.get('/config', requireAgentKey, async (req, res) => {
+  try {
+    const pcId = req.agent ? req.agent.pcId : req.query.pcId;
+
+    if (!pcId) {
+      return res.status(400).json({
+        success: false,
+        message: 'pcId is required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { pcId, ...await agentConfig.resolve(pcId) }
+    });
+
+  } catch (error) {
+    console.error('Error resolving agent config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/agents/configs
+ * List the central config layers (global, per group, per PC)
+ */
+router.get('/configs', async (req, res) => {
+  try {
+    const layers = await AgentConfig.find().sort({ scope: 1, target: 1 });
+
+    res.json({
+      success: true,
+      data: layers,
+      count: layers.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching agent configs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/agents/configs/global
+ * PUT /api/agents/configs/group/:group
+ * PUT /api/agents/configs/pc/:pcId
+ * Replace the settings of a config layer (admin)
+ * Body: { collectionInterval?, verbose?, topProcesses?, collectors?: { <name>: boolean }, retry?: { maxRetries?, retryDelay? } }
+ * Agents pick the change up with their next ingest response
+ */
+router.put('/configs/:scope/:target?', requireAdmin, async (req, res) => {
+  try {
+    const { scope, target, error } = parseLayer(req.params);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Body must be a settings object'
+      });
+    }
+
+    const unknown = unknownSettings(req.body);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown settings: ${unknown.join(', ')}`
+      });
+    }
+
+    const layer = await AgentConfig.findOne({ scope, target }) || new AgentConfig({ scope, target });
+    layer.settings = req.body;
+    await layer.save();
+    agentConfig.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Agent config saved successfully',
+      data: layer
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error saving agent config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/agents/configs/global
+ * DELETE /api/agents/configs/group/:group
+ * DELETE /api/agents/configs/pc/:pcId
+ * Remove a config layer (admin); its settings fall back to the less specific layers
+ */
+router.delete('/configs/:scope/:target?', requireAdmin, async (req, res) => {
+  try {
+    const { scope, target, error } = parseLayer(req.params);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const layer = await AgentConfig.findOneAndDelete({ scope, target });
+
+    if (!layer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent config not found'
+      });
+    }
+
+    agentConfig.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Agent config deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting agent config:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AlertRule = require('../models/AlertRule');
+const Alert = require('../models/Alert');
+const AlertEvent = require('../models/AlertEvent');
+const Device = require('../models/Device');
+const alertEngine = require('../services/alertEngine');
+const { requireAdmin } = require('../middleware/auth');
+
+// Fields a client may set on a rule
+const RULE_FIELDS = ['name', 'description', 'metric', 'operator', 'threshold', 'duration', 'scope', 'severity', 'enabled'];
+
+function pickRuleFields(body) {
+  const fields = {};
+  for (const key of RULE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+/**
+ * GET /api/alerts
+ * Current alert states
+ * Query params:
+ *   - pcId: Only alerts for this PC
+ *   - group / tag: Only alerts for PCs in this group / with this tag
+ *   - state: pending | firing | resolved (default: pending and firing)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { state } = req.query;
+    const filter = { state: state || { $in: ['pending', 'firing'] } };
+
+    const pcIdFilter = await Device.buildPcIdFilter(req.query);
+    if (pcIdFilter) filter.pcId = pcIdFilter;
+
+    const alerts = await Alert.find(filter)
+      .populate('ruleId', 'name metric operator threshold duration severity')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: alerts,
+      count: alerts.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/alerts/events
+ * Alert state transition history, newest first
+ * Query params:
+ *   - pcId: Only events for this PC
+ *   - group / tag: Only events for PCs in this group / with this tag
+ *   - ruleId: Only events for this rule
+ *   - hours: Events from the last N hours (default: 24)
+ *   - limit: Max events returned (default: 100, max 1000)
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const { ruleId, hours = 24, limit = 100 } = req.query;
+    const hoursNum = parseInt(hours);
+    const limitNum = parseInt(limit);
+
+    if (isNaN(hoursNum) || hoursNum < 1 || isNaN(limitNum) || limitNum < 1 || limitNum > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid hours (>=1) or limit (1-1000) parameter'
+      });
+    }
+
+    if (ruleId && !mongoose.isValidObjectId(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ruleId parameter'
+      });
+    }
+
+    const filter = { at: { $gte: new Date(Date.now() - hoursNum * 60 * 60 * 1000) } };
+    const pcIdFilter = await Device.buildPcIdFilter(req.query);
+    if (pcIdFilter) filter.pcId = pcIdFilter;
+    if (ruleId) filter.ruleId = ruleId;
+
+    const events = await AlertEvent.find(filter).sort({ at: -1 }).limit(limitNum);
+
+    res.json({
+      success: true,
+      data: events,
+      count: events.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching alert events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/alerts/rules
+ * List all alert rules
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await AlertRule.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Create an alert rule (admin)
+ * Body: { name, metric, operator, threshold, duration?, scope?: { pcIds?, tags? }, severity?, enabled? }
+ *   duration: seconds the condition must hold before firing
+ */
+router.post('/rules', requireAdmin, async (req, res) => {
+  try {
+    const rule = await AlertRule.create(pickRuleFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert rule created successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/alerts/rules/:id
+ * Update an alert rule (admin)
+ * Disabling a rule resolves its open alerts and clears its alert states
+ */
+router.put('/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.id) ? await AlertRule.findById(req.params.id) : null;
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+
+    if (!rule.enabled) {
+      await alertEngine.clearRule(rule);
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert rule updated successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Delete an alert rule and its current alert states (admin)
+ * Open alerts are resolved first; alert events are kept as history.
+ */
+router.delete('/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.id) ? await AlertRule.findByIdAndDelete(req.params.id) : null;
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    await alertEngine.clearRule(rule);
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const Anomaly = require('../models/Anomaly');
+const Baseline = require('../models/Baseline');
+const Device = require('../models/Device');
+const MetricRollup = require('../models/MetricRollup');
+const anomaly = require('../services/anomaly');
+
+/**
+ * GET /api/anomalies
+ * Samples that deviated from their PC's baseline, newest first
+ * Query params:
+ *   - pcId: Only anomalies of this PC
+ *   - group / tag: Only anomalies of PCs in this group / with this tag
+ *   - metric: cpu | ram | disk
+ *   - hours: Anomalies from the last N hours (default: 24)
+ *   - from / to: ISO times of the window instead of hours (to defaults to now)
+ *   - limit: Max anomalies returned (default: 500, max 5000)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { metric, hours = 24, limit = 500 } = req.query;
+    const hoursNum = parseInt(hours);
+    const limitNum = parseInt(limit);
+
+    if (isNaN(hoursNum) || hoursNum < 1 || isNaN(limitNum) || limitNum < 1 || limitNum > 5000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid hours (>=1) or limit (1-5000) parameter'
+      });
+    }
+
+    if (metric && !MetricRollup.METRICS.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid metric parameter (${MetricRollup.METRICS.join(', ')})`
+      });
+    }
+
+    const measuredAt = { $gte: new Date(Date.now() - hoursNum * 60 * 60 * 1000) };
+    if (req.query.from !== undefined) {
+      measuredAt.$gte = new Date(req.query.from);
+      if (req.query.to !== undefined) measuredAt.$lte = new Date(req.query.to);
+
+      if (isNaN(measuredAt.$gte.getTime()) || (measuredAt.$lte && isNaN(measuredAt.$lte.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid from / to parameters (ISO dates)'
+        });
+      }
+    }
+
+    const filter = { measuredAt };
+    const pcIdFilter = await Device.buildPcIdFilter(req.query);
+    if (pcIdFilter) filter.pcId = pcIdFilter;
+    if (metric) filter.metric = metric;
+
+    const anomalies = await Anomaly.find(filter).sort({ measuredAt: -1 }).limit(limitNum);
+
+    res.json({
+      success: true,
+      data: anomalies,
+      count: anomalies.length,
+      detection: { enabled: anomaly.ENABLED, mode: anomaly.MODE, sigma: anomaly.SIGMA }
+    });
+
+  } catch (error) {
+    console.error('Error fetching anomalies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/anomalies/baselines
+ * Current baselines of a PC: mean and standard deviation per metric
+ * (and per hour of day in seasonal mode)
+ * Query params:
+ *   - pcId: PC to look up (required)
+ */
+router.get('/baselines', async (req, res) => {
+  try {
+    const { pcId } = req.query;
+
+    if (!pcId) {
+      return res.status(400).json({
+        success: false,
+        message: 'pcId is required'
+      });
+    }
+
+    const baselines = await Baseline.find({ pcId }).sort({ metric: 1, slot: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: baselines.map(({ metric, slot, mean, variance, count, lastMeasuredAt }) => ({
+        metric,
+        slot,
+        mean: Math.round(mean * 100) / 100,
+        stdDev: Math.round(Math.sqrt(variance) * 100) / 100,
+        count,
+        lastMeasuredAt
+      })),
+      detection: { enabled: anomaly.ENABLED, mode: anomaly.MODE, sigma: anomaly.SIGMA }
+    });
+
+  } catch (error) {
+    console.error('Error fetching baselines:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const Device = require('../models/Device');
+const { requireAdmin, requireAgentKey, canWriteFor } = require('../middleware/auth');
+
+// Fields users may edit through PATCH
+const EDITABLE_TEXT_FIELDS = ['displayName', 'location', 'owner', 'group'];
+
+/**
+ * GET /api/devices
+ * List device records
+ * Query params:
+ *   - group: Only devices in this group (empty: devices without a group)
+ *   - tag: Only devices with this tag
+ */
+router.get('/', async (req, res) => {
+  try {
+    const devices = await Device.find(Device.buildDeviceFilter(req.query)).sort({ pcId: 1 });
+
+    res.json({
+      success: true,
+      data: devices,
+      count: devices.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:pcId
+ * One device record with its inventory
+ */
+router.get('/:pcId', async (req, res) => {
+  try {
+    const device = await Device.findOne({ pcId: req.params.pcId });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: device
+    });
+
+  } catch (error) {
+    console.error('Error fetching device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/devices/:pcId
+ * Update device metadata (admin); creates the record if needed
+ * Body: any of { displayName, location, owner, group: String|null, tags: [String] }
+ */
+router.patch('/:pcId', requireAdmin, async (req, res) => {
+  try {
+    const update = {};
+
+    for (const field of EDITABLE_TEXT_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      if (req.body[field] !== null && typeof req.body[field] !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a string or null`
+        });
+      }
+      // Empty strings clear the field
+      update[field] = req.body[field] || null;
+    }
+
+    if (req.body.tags !== undefined) {
+      const { tags } = req.body;
+      if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+        return res.status(400).json({
+          success: false,
+          message: 'tags must be an array of strings'
+        });
+      }
+      update.tags = tags;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to update (${[...EDITABLE_TEXT_FIELDS, 'tags'].join(', ')})`
+      });
+    }
+
+    const device = await Device.findOneAndUpdate(
+      { pcId: req.params.pcId },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully',
+      data: device
+    });
+
+  } catch (error) {
+    console.error('Error updating device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/devices/:pcId/inventory
+ * Agent reports its static inventory at startup; replaces the stored inventory
+ * Headers: X-API-Key (agent key bound to pcId)
+ * Body: { cpu, totalRam, disks, os, interfaces, agentVersion }
+ */
+router.put('/:pcId/inventory', requireAgentKey, async (req, res) => {
+  try {
+    const { pcId } = req.params;
+
+    if (!canWriteFor(req, pcId)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is not valid for pcId ${pcId}`
+      });
+    }
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Body must be an inventory object'
+      });
+    }
+
+    const { cpu, totalRam, disks, os, interfaces, agentVersion } = req.body;
+    const inventory = { cpu, totalRam, disks, os, interfaces, agentVersion, reportedAt: new Date() };
+
+    const device = await Device.findOneAndUpdate(
+      { pcId },
+      { $set: { inventory } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Inventory saved successfully',
+      data: device
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error saving inventory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
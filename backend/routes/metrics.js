@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const metrics = require('../services/metrics');
+
+/**
+ * GET /metrics
+ * Prometheus text exposition: latest cpu / ram / disk / uptime / last-seen gauges
+ * per PC (labels pcId, os) and the backend's own ingest and request counters
+ * Per-PC values are cached for METRICS_CACHE_SECONDS (default 15)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const body = await metrics.render();
+    res.set('Content-Type', metrics.CONTENT_TYPE).send(body);
+
+  } catch (error) {
+    console.error('Error rendering metrics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
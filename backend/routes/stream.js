@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const bus = require('../services/events');
+const Device = require('../models/Device');
+
+// Comment line sent periodically so proxies don't close idle connections
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// How often group / tag memberships of filtered clients are re-read
+const FILTER_REFRESH_INTERVAL_MS = 60000;
+
+// Connected dashboards: Set of { res, pcId, group, tag, pcIds }
+// pcIds is the Set of PCs matching the client's group / tag filter (null = unfiltered)
+const clients = new Set();
+
+// Resolve which PCs a group / tag filtered client should hear about
+async function refreshFilter(client) {
+  const pcIdFilter = await Device.buildPcIdFilter({ group: client.group, tag: client.tag });
+  client.pcIds = new Set(pcIdFilter.$in);
+}
+
+setInterval(() => {
+  for (const client of clients) {
+    if (!client.pcIds) continue;
+    refreshFilter(client).catch(error => console.error('Error refreshing stream filter:', error));
+  }
+}, FILTER_REFRESH_INTERVAL_MS).unref();
+
+/**
+ * Write one Server-Sent Event to every subscribed client
+ */
+function broadcast(event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  for (const client of clients) {
+    if (client.pcId && data.pcId !== client.pcId) continue;
+    if (client.pcIds && !client.pcIds.has(data.pcId)) continue;
+    client.res.write(message);
+  }
+}
+
+// One set of bus listeners shared by all connections
+bus.on('sample', sample => broadcast('sample', sample));
+bus.on('pc-status', change => broadcast('pc-status', change));
+bus.on('alert', alertEvent => broadcast('alert', alertEvent));
+bus.on('anomaly', anomaly => broadcast('anomaly', anomaly));
+
+/**
+ * GET /api/stream
+ * Server-Sent Events stream of live updates
+ * Query params:
+ *   - pcId: Only events for this PC
+ *   - group / tag: Only events for PCs in this group / with this tag
+ *     (membership is re-read every minute)
+ * Events:
+ *   - sample:    a newly ingested sample
+ *   - pc-status: { pcId, status, previous, lastSeen } when a PC's status changes
+ *   - alert:     an alert state transition
+ *   - anomaly:   a sample that deviated from its PC's baseline
+ */
+router.get('/', async (req, res) => {
+  const { pcId, group, tag } = req.query;
+  const client = { res, pcId: pcId || null, group: group ?? null, tag: tag || null, pcIds: null };
+
+  if (client.group !== null || client.tag) {
+    try {
+      await refreshFilter(client);
+    } catch (error) {
+      console.error('Error resolving stream filter:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable nginx response buffering
+  });
+
+  // Ask browsers to reconnect after 5s if the connection drops
+  res.write('retry: 5000\n\n');
+
+  clients.add(client);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+});
+
+/**
+ * Number of connected stream clients
+ */
+router.clientCount = () => clients.size;
+
+module.exports = router;
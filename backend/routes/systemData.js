@@ -1,44 +1,108 @@
 const express = require('express');
 const router = express.Router();
 const SystemInfo = require('../models/SystemInfo');
+const Device = require('../models/Device');
+const { requireAgentKey, canWriteFor } = require('../middleware/auth');
+const { MAX_BATCH_SIZE, validateSample, storeSample, storeSamples } = require('../services/ingest');
+const presence = require('../services/presence');
+const rollup = require('../services/rollup');
+const series = require('../services/series');
+const distribution = require('../services/distribution');
+const exporter = require('../services/export');
+const forecast = require('../services/forecast');
+const customMetrics = require('../services/customMetrics');
+const CustomMetric = require('../models/CustomMetric');
+const MetricRollup = require('../models/MetricRollup');
+const metrics = require('../services/metrics');
+const agentConfig = require('../services/agentConfig');
+
+// Buckets aimed at when a comparison gives no bucket size (denser than the overview)
+const COMPARE_POINTS = 120;
+
+/**
+ * Time window from `from` / `to` (ISO times, to defaults to now) or the last `hours` (default 24)
+ * hoursBack is how far the window reaches into the past, which decides the tier holding it
+ * @returns {{ from: Date, to: Date, hoursBack: number }|{ error: string }}
+ */
+function parseWindow(query) {
+  const now = new Date();
+
+  if (query.from !== undefined) {
+    const from = new Date(query.from);
+    const to = query.to !== undefined ? new Date(query.to) : now;
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return { error: 'Invalid from / to parameters (ISO dates, from before to)' };
+    }
+    return { from, to, hoursBack: (now - from) / (60 * 60 * 1000) };
+  }
+
+  const hoursNum = parseInt(query.hours ?? 24);
+  if (isNaN(hoursNum) || hoursNum < 1 || hoursNum > rollup.MAX_HISTORY_HOURS) {
+    return { error: `Invalid hours parameter (1-${rollup.MAX_HISTORY_HOURS})` };
+  }
+  return { from: new Date(now.getTime() - hoursNum * 60 * 60 * 1000), to: now, hoursBack: hoursNum };
+}
+
+/**
+ * Central config block for an agent's ingest response: { version, settings? }
+ * settings are included when the newest sample ran another version; null for admin
+ * imports, and when the lookup fails (never fails the ingest)
+ */
+async function configResponse(req, samples) {
+  if (!req.agent || samples.length === 0) return null;
+
+  const newest = samples.reduce((a, b) => (b.measuredAt > a.measuredAt ? b : a));
+  try {
+    return await agentConfig.forIngestResponse(req.agent.pcId, newest.configVersion);
+  } catch (error) {
+    console.error('Error resolving agent config:', error);
+    return null;
+  }
+}
+
+/**
+ * Whether a PC is in the group / has the tag asked for in the query (true when
+ * neither is given)
+ */
+async function inDeviceFilter(pcId, query) {
+  const pcIdFilter = await Device.buildPcIdFilter({ pcId, group: query.group, tag: query.tag });
+  return typeof pcIdFilter === 'string' || pcIdFilter.$in.length > 0;
+}
 
 /**
  * POST /api/systemdata
  * Receives system data from client scripts
- * Body: { pcId, cpu, ram, disk, os, uptime }
+ * Headers: X-API-Key (agent key bound to pcId)
+ * Body: { pcId, cpu, ram, disk, os, uptime, interval?, configVersion?, measuredAt? }
+ *   interval: agent's reporting interval in seconds
+ *   configVersion: version of the central agent config the agent runs
+ *   measuredAt: ISO time the sample was collected (defaults to now)
+ * Invalid extended fields are left out and listed in `warnings`
+ * The response carries the agent's central config (see GET /api/agents/config)
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAgentKey, async (req, res) => {
   try {
-    const { pcId, cpu, ram, disk, os, uptime } = req.body;
+    const { sample, warnings, error } = validateSample(req.body);
 
-    // Validate required fields
-    if (!pcId || cpu === undefined || ram === undefined || disk === undefined || !os || uptime === undefined) {
+    if (error) {
+      metrics.samplesRejected.inc({ reason: 'invalid' });
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: pcId, cpu, ram, disk, os, uptime'
+        message: error
       });
     }
 
-    // Validate data ranges
-    if (cpu < 0 || cpu > 100 || ram < 0 || ram > 100 || disk < 0 || disk > 100 || uptime < 0) {
-      return res.status(400).json({
+    // Agents may only report for the pcId their key is bound to
+    if (!canWriteFor(req, sample.pcId)) {
+      metrics.samplesRejected.inc({ reason: 'forbidden' });
+      return res.status(403).json({
         success: false,
-        message: 'Invalid data ranges: cpu/ram/disk (0-100), uptime (>=0)'
+        message: `API key is not valid for pcId ${sample.pcId}`
       });
     }
 
-    // Create new system info document
-    const systemData = new SystemInfo({
-      pcId,
-      cpu,
-      ram,
-      disk,
-      os,
-      uptime
-    });
-
-    // Save to database
-    await systemData.save();
+    const systemData = await storeSample(sample);
 
     // Return success response
     res.status(201).json({
@@ -47,11 +111,22 @@ router.post('/', async (req, res) => {
       data: {
         id: systemData._id,
         pcId: systemData.pcId,
-        timestamp: systemData.createdAt
-      }
+        timestamp: systemData.measuredAt
+      },
+      ...(warnings.length > 0 ? { warnings } : {}),
+      config: await configResponse(req, [sample])
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      metrics.samplesRejected.inc({ reason: 'invalid' });
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    metrics.samplesRejected.inc({ reason: 'storage' });
     console.error('Error saving system data:', error);
     res.status(500).json({
       success: false,
@@ -61,56 +136,170 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/systemdata/batch
+ * Receives many samples in one request (agent backfill, imports)
+ * Headers: X-API-Key (agent key) or X-Admin-Token (imports for any pcId)
+ * Body: { samples: [{ pcId, cpu, ram, disk, os, uptime, interval?, measuredAt }] }
+ * Each sample is validated on its own; the response reports per item:
+ *   results: [{ index, status: 'accepted' | 'rejected', id?, error?, warnings? }]
+ *   warnings lists the invalid extended fields left out of an accepted sample
+ * and carries the agent's central config (see GET /api/agents/config)
+ */
+router.post('/batch', requireAgentKey, async (req, res) => {
+  try {
+    const { samples } = req.body;
+
+    if (!Array.isArray(samples) || samples.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Body must contain a non-empty samples array'
+      });
+    }
+
+    if (samples.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({
+        success: false,
+        message: `Too many samples in one batch (max ${MAX_BATCH_SIZE})`
+      });
+    }
+
+    const results = new Array(samples.length);
+    const valid = [];
+
+    samples.forEach((body, index) => {
+      const { sample, warnings, error } = validateSample(body);
+
+      if (error) {
+        metrics.samplesRejected.inc({ reason: 'invalid' });
+        results[index] = { index, status: 'rejected', error };
+      } else if (!canWriteFor(req, sample.pcId)) {
+        metrics.samplesRejected.inc({ reason: 'forbidden' });
+        results[index] = { index, status: 'rejected', error: `API key is not valid for pcId ${sample.pcId}` };
+      } else {
+        valid.push({ index, sample, warnings });
+      }
+    });
+
+    const stored = await storeSamples(valid.map(item => item.sample));
+
+    stored.forEach(({ doc, error, invalid }, i) => {
+      const { index, warnings } = valid[i];
+      if (error) metrics.samplesRejected.inc({ reason: invalid ? 'invalid' : 'storage' });
+      results[index] = error
+        ? { index, status: 'rejected', error }
+        : { index, status: 'accepted', id: doc._id, ...(warnings.length > 0 ? { warnings } : {}) };
+    });
+
+    const accepted = results.filter(r => r.status === 'accepted').length;
+
+    res.status(accepted > 0 ? 201 : 400).json({
+      success: accepted > 0,
+      message: `Accepted ${accepted} of ${samples.length} samples`,
+      accepted,
+      rejected: samples.length - accepted,
+      results,
+      config: await configResponse(req, valid.map(item => item.sample))
+    });
+
+  } catch (error) {
+    console.error('Error saving batch system data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/systemdata
- * Returns latest data for all PCs and overview statistics
+ * Returns latest data for all PCs (with online/stale/offline status) and overview statistics
  * Query params: 
  *   - pcId: Get data for specific PC only
- *   - hours: Historical data for last N hours (default: 24)
+ *   - group / tag: Only PCs in this group / with this tag (latest data and overview;
+ *     with pcId, 404 when the PC is outside them)
+ *   - hours: Historical data for last N hours (default: 24, max: longest rollup retention)
+ *   - from / to: ISO times of the history window instead of hours (to defaults to now)
+ *   - resolution: raw | 5m | 1h (default: picked from the window)
  */
 router.get('/', async (req, res) => {
   try {
-    const { pcId, hours = 24 } = req.query;
-    const hoursNum = parseInt(hours);
+    const { pcId, resolution } = req.query;
+
+    const { from, to, hoursBack, error } = parseWindow(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    const hoursNum = Math.round(((to - from) / (60 * 60 * 1000)) * 100) / 100;
 
-    // Validate hours parameter
-    if (isNaN(hoursNum) || hoursNum < 1 || hoursNum > 168) { // Max 1 week
+    if (resolution && !rollup.RESOLUTION_NAMES.includes(resolution)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid hours parameter (1-168)'
+        message: `Invalid resolution (${rollup.RESOLUTION_NAMES.join(', ')})`
       });
     }
 
     let response = {};
 
     if (pcId) {
+      if (!(await inDeviceFilter(pcId, req.query))) {
+        return res.status(404).json({
+          success: false,
+          message: `${pcId} is not in the requested group / tag`
+        });
+      }
+
       // Get data for specific PC
-      const [latestData, historicalData] = await Promise.all([
-        SystemInfo.findOne({ pcId }).sort({ createdAt: -1 }),
-        SystemInfo.getHistoricalData(pcId, hoursNum)
+      const [[latestData], history] = await Promise.all([
+        presence.getLatestData(pcId),
+        rollup.getHistory(
+          pcId,
+          hoursNum,
+          resolution || rollup.pickResolution(hoursNum, hoursBack),
+          req.query.from !== undefined ? to : null
+        )
       ]);
 
+      const [latest] = latestData
+        ? await presence.withStatus(await agentConfig.withExpectedVersion(await Device.withDeviceInfo([latestData])))
+        : [null];
+
       response = {
         success: true,
         data: {
           pcId,
-          latest: latestData,
-          historical: historicalData,
+          latest,
+          historical: history.points,
+          resolution: history.resolution,
+          from,
+          to,
           timeRange: `${hoursNum} hours`
         }
       };
     } else {
-      // Get data for all PCs
+      // Get data for all PCs (or those in the requested group / with the tag)
+      const pcIdFilter = await Device.buildPcIdFilter(req.query);
       const [latestData, overviewStats] = await Promise.all([
-        SystemInfo.getLatestData(),
-        SystemInfo.getOverviewStats()
+        presence.getLatestData(pcIdFilter),
+        SystemInfo.getOverviewStats(pcIdFilter)
       ]);
 
+      const withDevices = await Device.withDeviceInfo(latestData);
+      const latest = await presence.withStatus(await agentConfig.withExpectedVersion(withDevices));
+      const statusCounts = { online: 0, stale: 0, offline: 0 };
+      latest.forEach(pc => { statusCounts[pc.status]++; });
+
       response = {
         success: true,
         data: {
-          latest: latestData,
+          latest,
+          statusCounts,
           overview: overviewStats[0] || { avgCpu: 0, avgRam: 0, avgDisk: 0, totalPCs: 0 },
+          filter: { group: req.query.group ?? null, tag: req.query.tag || null },
           timeRange: '24 hours'
         }
       };
@@ -131,11 +320,19 @@ router.get('/', async (req, res) => {
 /**
  * GET /api/systemdata/pcs
  * Returns list of all unique PC IDs with their latest data
+ * Each PC includes status (online | stale | offline), lastSeen and reportInterval,
+ * and `device` (displayName, location, owner, group, tags, inventory) when known
+ * configVersion is the central agent config the PC last reported running,
+ * expectedConfigVersion the one it should run
+ * Query params:
+ *   - group / tag: Only PCs in this group / with this tag
  */
 router.get('/pcs', async (req, res) => {
   try {
-    const pcs = await SystemInfo.getLatestData();
-    
+    const pcIdFilter = await Device.buildPcIdFilter(req.query);
+    const withDevices = await Device.withDeviceInfo(await presence.getLatestData(pcIdFilter));
+    const pcs = await presence.withStatus(await agentConfig.withExpectedVersion(withDevices));
+
     res.json({
       success: true,
       data: pcs,
@@ -152,6 +349,605 @@ router.get('/pcs', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/systemdata/groups
+ * Overview statistics per device group (PCs without a group are reported with group: null)
+ * Each entry: { group, totalPCs, statusCounts, avgCpu, avgRam, avgDisk } over the last 24 hours
+ */
+router.get('/groups', async (req, res) => {
+  try {
+    const [latestData, totals] = await Promise.all([
+      presence.getLatestData(),
+      SystemInfo.getOverviewTotalsByPc()
+    ]);
+
+    const pcs = await presence.withStatus(await Device.withDeviceInfo(latestData));
+    const totalsByPc = new Map(totals.map(t => [t._id, t]));
+    const groups = new Map();
+
+    for (const pc of pcs) {
+      const name = pc.device?.group || null;
+      if (!groups.has(name)) {
+        groups.set(name, {
+          group: name,
+          totalPCs: 0,
+          statusCounts: { online: 0, stale: 0, offline: 0 },
+          sums: { cpu: 0, ram: 0, disk: 0, count: 0 }
+        });
+      }
+
+      const entry = groups.get(name);
+      entry.totalPCs++;
+      entry.statusCounts[pc.status]++;
+
+      const pcTotals = totalsByPc.get(pc.pcId);
+      if (pcTotals) {
+        entry.sums.cpu += pcTotals.sumCpu;
+        entry.sums.ram += pcTotals.sumRam;
+        entry.sums.disk += pcTotals.sumDisk;
+        entry.sums.count += pcTotals.count;
+      }
+    }
+
+    const average = (sum, count) => (count > 0 ? Math.round((sum / count) * 100) / 100 : 0);
+    const data = [...groups.values()]
+      .map(({ sums, ...entry }) => ({
+        ...entry,
+        avgCpu: average(sums.cpu, sums.count),
+        avgRam: average(sums.ram, sums.count),
+        avgDisk: average(sums.disk, sums.count)
+      }))
+      // Named groups alphabetically, ungrouped PCs last
+      .sort((a, b) => (a.group === null) - (b.group === null) || String(a.group).localeCompare(String(b.group)));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      timeRange: '24 hours'
+    });
+
+  } catch (error) {
+    console.error('Error fetching group stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/systemdata/series
+ * Fleet-wide (or group-wide) cpu / ram / disk time series
+ * Query params:
+ *   - hours: Range, last N hours (default: 24, max: longest rollup retention)
+ *   - bucket: Bucket size in seconds (default: picked from hours, ~48 buckets)
+ *   - group / tag: Only PCs in this group / with this tag
+ * Each point: { time, pcs, cpu: { avg, min, max, p95 }, ram: {...}, disk: {...} }
+ * Ranges beyond raw retention are served from rollups; there p95 is taken over the
+ * per-PC 5-minute / hourly averages
+ */
+router.get('/series', async (req, res) => {
+  try {
+    const hoursNum = parseInt(req.query.hours ?? 24);
+
+    if (isNaN(hoursNum) || hoursNum < 1 || hoursNum > rollup.MAX_HISTORY_HOURS) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid hours parameter (1-${rollup.MAX_HISTORY_HOURS})`
+      });
+    }
+
+    const bucketSeconds = req.query.bucket !== undefined
+      ? parseInt(req.query.bucket)
+      : series.defaultBucketSeconds(hoursNum);
+
+    if (isNaN(bucketSeconds) || bucketSeconds < series.MIN_BUCKET_SECONDS ||
+        (hoursNum * 3600) / bucketSeconds > series.MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid bucket parameter: seconds, at least ${series.MIN_BUCKET_SECONDS} and at most ${series.MAX_BUCKETS} buckets per range`
+      });
+    }
+
+    const source = series.pickSource(hoursNum, bucketSeconds);
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bucket too small for this range: older data is only kept as 5-minute / hourly rollups'
+      });
+    }
+
+    const pcIdFilter = await Device.buildPcIdFilter(req.query);
+    const data = await series.getFleetSeries({ hours: hoursNum, bucketSeconds, pcIdFilter, source });
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        filter: { group: req.query.group ?? null, tag: req.query.tag || null },
+        timeRange: `${hoursNum} hours`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching fleet series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/systemdata/compare
+ * One metric of several PCs on a shared time grid, for overlaying them on one chart
+ * Query params:
+ *   - pcIds: Comma-separated PCs (required, at most MAX_COMPARE_PCS)
+ *   - metric: cpu | ram | disk (default: cpu)
+ *   - hours: Window, last N hours (default: 24), or from / to as ISO times
+ *   - bucket: Bucket size in seconds (default: picked from the window, ~120 buckets)
+ * Each point: { time, values: { <pcId>: bucket average or null } }
+ */
+router.get('/compare', async (req, res) => {
+  try {
+    const pcIds = [...new Set(String(req.query.pcIds || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (pcIds.length === 0 || pcIds.length > series.MAX_COMPARE_PCS) {
+      return res.status(400).json({
+        success: false,
+        message: `pcIds is required (comma-separated, at most ${series.MAX_COMPARE_PCS})`
+      });
+    }
+
+    const metric = req.query.metric || 'cpu';
+    if (!MetricRollup.METRICS.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid metric parameter (${MetricRollup.METRICS.join(', ')})`
+      });
+    }
+
+    const { from, to, hoursBack, error } = parseWindow(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const hours = (to - from) / (60 * 60 * 1000);
+    const bucketSeconds = req.query.bucket !== undefined
+      ? parseInt(req.query.bucket)
+      : series.defaultBucketSeconds(hours, COMPARE_POINTS);
+
+    if (isNaN(bucketSeconds) || bucketSeconds < series.MIN_BUCKET_SECONDS ||
+        (hours * 3600) / bucketSeconds > series.MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid bucket parameter: seconds, at least ${series.MIN_BUCKET_SECONDS} and at most ${series.MAX_BUCKETS} buckets per range`
+      });
+    }
+
+    const source = series.pickSource(hoursBack, bucketSeconds);
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bucket too small for this window: older data is only kept as 5-minute / hourly rollups'
+      });
+    }
+
+    const data = await series.getComparison({ pcIds, metric, from, to, bucketSeconds, source });
+    const devices = await Device.withDeviceInfo(pcIds.map(pcId => ({ pcId })));
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        devices: devices.map(({ pcId, device }) => ({ pcId, displayName: device?.displayName || null }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching comparison:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/systemdata/stats
+ * Percentiles, max and time above a threshold of cpu / ram / disk, per PC and fleet-wide
+ * Query params:
+ *   - hours: Window, last N hours (default: 24, max: longest rollup retention)
+ *   - from / to: ISO times of the window instead of hours (to defaults to now)
+ *   - threshold: Usage (%) counted in `above` (default: 80)
+ *   - sort: <metric>.<stat> the PCs are ranked by, highest first (default: cpu.p95)
+ *   - limit: Return only the top N PCs
+ *   - pcId / group / tag: Only this PC / PCs in this group / with this tag
+ * Per metric: { p50, p90, p95, p99, max, above } where above is the % of samples over the threshold
+ * Windows reaching past raw retention are computed from rollups, weighting each
+ * bucket average by its sample count
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const { from, to, hoursBack, error } = parseWindow(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const source = series.pickSource(hoursBack);
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        message: `Window starts before the oldest kept data (${rollup.MAX_HISTORY_HOURS} hours)`
+      });
+    }
+
+    const threshold = req.query.threshold !== undefined
+      ? parseFloat(req.query.threshold)
+      : distribution.DEFAULT_THRESHOLD;
+    if (isNaN(threshold) || threshold < 0 || threshold > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid threshold parameter (0-100)'
+      });
+    }
+
+    const [metric, stat] = String(req.query.sort || 'cpu.p95').split('.');
+    if (!MetricRollup.METRICS.includes(metric) || !distribution.STATS.includes(stat)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort parameter (<${MetricRollup.METRICS.join('|')}>.<${distribution.STATS.join('|')}>)`
+      });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : null;
+    if (limit !== null && (isNaN(limit) || limit < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter'
+      });
+    }
+
+    const pcIdFilter = await Device.buildPcIdFilter(req.query);
+    const { fleet, pcs } = await distribution.getDistribution({ from, to, pcIdFilter, source, threshold });
+
+    const ranked = distribution.rank(pcs, metric, stat);
+    const top = limit ? ranked.slice(0, limit) : ranked;
+
+    res.json({
+      success: true,
+      data: {
+        source,
+        from,
+        to,
+        threshold,
+        sort: `${metric}.${stat}`,
+        fleet,
+        pcs: await Device.withDeviceInfo(top),
+        filter: { group: req.query.group ?? null, tag: req.query.tag || null }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching usage statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/systemdata/forecast
+ * Disk-full forecasts: a linear trend fitted to each PC's disk usage, extrapolated to the limit
+ * Query params:
+ *   - hours: History the trend is fitted to (default: FORECAST_WINDOW_DAYS, 7 days)
+ *   - limit: Disk usage (%) counted as full (default: DISK_FULL_PERCENT, 100)
+ *   - days: Capacity report, only PCs predicted to be full within N days
+ *   - pcId / group / tag: Only this PC / PCs in this group / with this tag
+ * Per PC: { current, trendPerDay, r2, daysToFull, fullAt, status } where status is
+ * full | growing | stable | insufficient-data; PCs soonest full come first
+ */
+router.get('/forecast', async (req, res) => {
+  try {
+    const { hoursBack, error } = parseWindow({ hours: req.query.hours ?? forecast.WINDOW_HOURS });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const limit = req.query.limit !== undefined ? parseFloat(req.query.limit) : forecast.DISK_FULL_PERCENT;
+    if (isNaN(limit) || limit <= 0 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter (0-100)'
+      });
+    }
+
+    const days = req.query.days !== undefined ? parseFloat(req.query.days) : null;
+    if (days !== null && (isNaN(days) || days < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid days parameter'
+      });
+    }
+
+    const pcIdFilter = await Device.buildPcIdFilter(req.query);
+    const result = await forecast.getForecasts({ hours: hoursBack, limit, pcIdFilter });
+    const pcs = days === null
+      ? result.pcs
+      : result.pcs.filter(pc => pc.daysToFull !== null && pc.daysToFull <= days);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        days,
+        pcs: await Device.withDeviceInfo(pcs),
+        filter: { group: req.query.group ?? null, tag: req.query.tag || null }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error forecasting disk usage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/systemdata/custom/names
+ * Custom (plugin) metric names reported recently, with the PCs reporting each
+ * Query params:
+ *   - hours: Names reported in the last N hours (default: 24)
+ *   - pcId / group / tag: Only this PC / PCs in this group / with this tag
+ */
+router.get('/custom/names', async (req, res) => {
+  try {
+    const { from, error } = parseWindow({ hours: req.query.hours });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const pcIdFilter = await Device.buildPcIdFilter(req.query);
+    const names = await customMetrics.listNames({ since: from, pcIdFilter });
+
+    res.json({
+      success: true,
+      data: names,
+      count: names.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching custom metric names:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/systemdata/custom
+ * One custom (plugin) metric per PC on a shared time grid
+ * Query params:
+ *   - name: Metric name, e.g. build.queue_length (required)
+ *   - hours: Window, last N hours (default: 24), or from / to as ISO times
+ *   - bucket: Bucket size in seconds (default: picked from the window, ~120 buckets)
+ *   - pcId / group / tag: Only this PC / PCs in this group / with this tag
+ * Each point: { time, values: { <pcId>: bucket average or null } }; at most
+ * MAX_COMPARE_PCS PCs (highest average first), truncated: true when more report it
+ */
+router.get('/custom', async (req, res) => {
+  try {
+    const { name } = req.query;
+    if (!name || !CustomMetric.NAME_PATTERN.test(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'name is required (letters, digits, _ . : -)'
+      });
+    }
+
+    const { from, to, error } = parseWindow(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const hours = (to - from) / (60 * 60 * 1000);
+    const bucketSeconds = req.query.bucket !== undefined
+      ? parseInt(req.query.bucket)
+      : series.defaultBucketSeconds(hours, COMPARE_POINTS);
+
+    if (isNaN(bucketSeconds) || bucketSeconds < series.MIN_BUCKET_SECONDS ||
+        (hours * 3600) / bucketSeconds > series.MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid bucket parameter: seconds, at least ${series.MIN_BUCKET_SECONDS} and at most ${series.MAX_BUCKETS} buckets per range`
+      });
+    }
+
+    const pcIdFilter = await Device.buildPcIdFilter(req.query);
+    const data = await customMetrics.getSeries({ name, from, to, bucketSeconds, pcIdFilter });
+    const devices = await Device.withDeviceInfo(data.pcIds.map(pcId => ({ pcId })));
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        devices: devices.map(({ pcId, device }) => ({ pcId, displayName: device?.displayName || null }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching custom metric series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/systemdata/export
+ * Streams samples (or rollup buckets) as CSV or NDJSON, one PC after another, oldest first
+ * Query params:
+ *   - format: csv | ndjson (default: csv)
+ *   - hours: Window, last N hours (default: 24), or from / to as ISO times
+ *   - resolution: raw | 5m | 1h (default: the finest tier still holding the window)
+ *   - metrics: Comma-separated (default: cpu,ram,disk; raw also has uptime)
+ *   - pcId: Comma-separated PCs (default: all)
+ *   - group / tag: Only PCs in this group / with this tag
+ * Raw rows: pcId, measuredAt, <metric>...
+ * Rollup rows: pcId, measuredAt (bucket start), count, <metric>Avg, <metric>Min, <metric>Max...
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!exporter.FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format parameter (${Object.keys(exporter.FORMATS).join(', ')})`
+      });
+    }
+
+    const { from, to, hoursBack, error } = parseWindow(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const resolution = req.query.resolution || rollup.pickResolution(hoursBack);
+    if (!rollup.RESOLUTION_NAMES.includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid resolution parameter (${rollup.RESOLUTION_NAMES.join(', ')})`
+      });
+    }
+
+    const available = exporter.metricsFor(resolution);
+    const metricList = req.query.metrics
+      ? String(req.query.metrics).split(',').map(m => m.trim()).filter(Boolean)
+      : MetricRollup.METRICS;
+    const unknown = metricList.filter(m => !available.includes(m));
+    if (metricList.length === 0 || unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid metrics parameter (${resolution}: ${available.join(', ')})`
+      });
+    }
+
+    const pcIds = req.query.pcId
+      ? String(req.query.pcId).split(',').map(id => id.trim()).filter(Boolean)
+      : null;
+    const pcIdFilter = await Device.buildPcIdFilter({ group: req.query.group, tag: req.query.tag });
+    const exportPcIds = await exporter.listPcIds({ resolution, from, to, pcIds, pcIdFilter });
+
+    const { contentType, extension } = exporter.FORMATS[format];
+    const day = date => date.toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="pcmon-${resolution}-${day(from)}-${day(to)}.${extension}"`,
+      'Cache-Control': 'no-cache'
+    });
+
+    await exporter.streamExport(res, { pcIds: exportPcIds, from, to, resolution, metrics: metricList, format });
+
+  } catch (error) {
+    console.error('Error exporting samples:', error);
+    // Once rows are on the wire the status can't change; cut the download short instead
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/systemdata/processes
+ * Top-processes snapshot of a PC at a point in its history
+ * Query params:
+ *   - pcId: PC to look up (required)
+ *   - at: ISO time; returns the latest snapshot at or before it (default: now)
+ *   - group / tag: 404 when the PC is not in this group / without this tag
+ * Snapshots are stored with raw samples, so they reach back RAW_RETENTION_HOURS
+ */
+router.get('/processes', async (req, res) => {
+  try {
+    const { pcId, at } = req.query;
+
+    if (!pcId) {
+      return res.status(400).json({
+        success: false,
+        message: 'pcId is required'
+      });
+    }
+
+    const atDate = at ? new Date(at) : new Date();
+    if (isNaN(atDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid at parameter (ISO date)'
+      });
+    }
+
+    if (!(await inDeviceFilter(pcId, req.query))) {
+      return res.status(404).json({
+        success: false,
+        message: `${pcId} is not in the requested group / tag`
+      });
+    }
+
+    const snapshot = await SystemInfo.getProcessSnapshot(pcId, atDate);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: `No process snapshot for ${pcId} at or before ${atDate.toISOString()}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: snapshot
+    });
+
+  } catch (error) {
+    console.error('Error fetching process snapshot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/systemdata/cleanup
  * Cleans up old data (older than specified hours)
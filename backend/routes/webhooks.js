@@ -0,0 +1,239 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhooks = require('../services/webhooks');
+const { requireAdmin } = require('../middleware/auth');
+
+// Fields a client may set on a webhook
+const WEBHOOK_FIELDS = ['name', 'url', 'events', 'headers', 'template', 'secret', 'maxAttempts', 'enabled'];
+
+function pickWebhookFields(body) {
+  const fields = {};
+  for (const key of WEBHOOK_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+// Webhook configuration contains receiver URLs and credentials
+router.use(requireAdmin);
+
+/**
+ * GET /api/webhooks
+ * List webhooks (admin)
+ * Secrets are never returned; hasSecret tells whether one is set
+ */
+router.get('/', async (req, res) => {
+  try {
+    const list = await Webhook.find().select('+secret').sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: list,
+      count: list.length,
+      events: Webhook.EVENTS
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Create a webhook (admin)
+ * Body: { name, url, events?, headers?, template?, secret?, maxAttempts?, enabled? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const webhook = await Webhook.create(pickWebhookFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: webhook
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a webhook (admin)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const webhook = mongoose.isValidObjectId(req.params.id)
+      ? await Webhook.findById(req.params.id).select('+secret')
+      : null;
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    webhook.set(pickWebhookFields(req.body));
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook and cancel its pending deliveries (admin)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const webhook = mongoose.isValidObjectId(req.params.id) ? await Webhook.findByIdAndDelete(req.params.id) : null;
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await WebhookDelivery.updateMany(
+      { webhookId: webhook._id, status: 'pending' },
+      { $set: { status: 'failed', lastError: 'Webhook deleted' } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Queue a "test" event for this webhook (admin)
+ */
+router.post('/:id/test', async (req, res) => {
+  try {
+    const webhook = mongoose.isValidObjectId(req.params.id) ? await Webhook.findById(req.params.id) : null;
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const delivery = await webhooks.sendTest(webhook);
+
+    res.status(202).json({
+      success: true,
+      message: 'Test delivery queued',
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log for one webhook, newest first (admin)
+ * Query params:
+ *   - status: pending | success | failed
+ *   - limit: Max entries (default: 50, max 500)
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+    const limitNum = parseInt(limit);
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter (1-500)'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const filter = { webhookId: req.params.id };
+    if (status) filter.status = status;
+
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limitNum);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
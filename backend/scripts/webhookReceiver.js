@@ -0,0 +1,38 @@
+/**
+ * Local webhook receiver for testing notifications
+ *
+ * Prints every request it receives and answers 200. Set FAIL_FIRST=N to answer
+ * 500 to the first N requests and watch the backend retry with backoff.
+ *
+ * Usage: PORT=4000 FAIL_FIRST=2 node scripts/webhookReceiver.js
+ */
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT) || 4000;
+let failuresLeft = parseInt(process.env.FAIL_FIRST) || 0;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const failing = failuresLeft > 0;
+    if (failing) failuresLeft--;
+
+    console.log(`\n${new Date().toISOString()} - ${req.method} ${req.url} -> ${failing ? 500 : 200}`);
+    console.log(`  event: ${req.headers['x-webhook-event']}  delivery: ${req.headers['x-webhook-delivery']}`);
+    if (req.headers['x-webhook-signature']) console.log(`  signature: ${req.headers['x-webhook-signature']}`);
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    res.writeHead(failing ? 500 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: !failing }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`📨 Webhook receiver listening on http://localhost:${PORT}`);
+});
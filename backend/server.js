@@ -5,16 +5,32 @@ require('dotenv').config();
 
 // Import routes
 const systemDataRoutes = require('./routes/systemData');
-
-// ✅ Import model (REQUIRED for index sync)
+const agentRoutes = require('./routes/agents');
+const alertRoutes = require('./routes/alerts');
+const deviceRoutes = require('./routes/devices');
+const webhookRoutes = require('./routes/webhooks');
+const streamRoutes = require('./routes/stream');
+const metricsRoutes = require('./routes/metrics');
+const anomalyRoutes = require('./routes/anomalies');
+
+// Background services
+const presence = require('./services/presence');
+const webhooks = require('./services/webhooks');
+const rollup = require('./services/rollup');
+const metrics = require('./services/metrics');
+
+// ✅ Import models (REQUIRED for index sync)
 const SystemInfo = require('./models/SystemInfo');
+const MetricRollup = require('./models/MetricRollup');
+const Anomaly = require('./models/Anomaly');
+const CustomMetric = require('./models/CustomMetric');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // batch ingestion bodies
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -23,6 +39,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request latency for /metrics
+app.use(metrics.requestTimer);
+
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI;
 
@@ -33,10 +52,22 @@ mongoose.connect(MONGODB_URI, {
 .then(async () => {
   console.log('✅ Connected to MongoDB successfully');
 
+  // Samples from before measuredAt existed are keyed by createdAt
+  await SystemInfo.backfillMeasuredAt();
+
   // 🔥 IMPORTANT: Sync indexes (TTL, compound index)
   await SystemInfo.syncIndexes();
+  await MetricRollup.syncIndexes();
+  await Anomaly.syncIndexes();
+  await CustomMetric.syncIndexes();
   console.log('📌 MongoDB indexes synced');
 
+  // Offline detection, webhook delivery and rollups need the database
+  presence.start();
+  webhooks.start();
+  rollup.start();
+  console.log('🔔 Presence checks, webhook delivery and rollups started');
+
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -58,6 +89,13 @@ mongoose.connection.on('disconnected', () => {
 
 // Routes
 app.use('/api/systemdata', systemDataRoutes);
+app.use('/api/agents', agentRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/anomalies', anomalyRoutes);
+app.use('/metrics', metricsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -74,6 +112,7 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     uptime: process.uptime(),
     mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    streamClients: streamRoutes.clientCount(),
     timestamp: new Date().toISOString()
   });
 });
@@ -100,6 +139,9 @@ app.use((error, req, res, next) => {
 async function shutdown(signal) {
   console.log(`\n🛑 ${signal} received. Shutting down gracefully...`);
   try {
+    presence.stop();
+    webhooks.stop();
+    rollup.stop();
     await mongoose.connection.close();
     console.log('📊 MongoDB connection closed');
     process.exit(0);
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const AgentConfig = require('../models/AgentConfig');
+const Device = require('../models/Device');
+
+// Layers are re-read at least this often, so edits made through another backend
+// instance reach the agents too
+const CACHE_TTL_MS = 30 * 1000;
+
+// Settings holding several values; merged key by key instead of replaced
+const NESTED = ['collectors', 'retry'];
+
+let cache = { at: 0, layers: null };
+let pending = null;
+
+/**
+ * All configuration layers, shared by requests within CACHE_TTL_MS
+ */
+async function getLayers() {
+  if (cache.layers && Date.now() - cache.at < CACHE_TTL_MS) return cache.layers;
+
+  // Concurrent requests share one query
+  if (!pending) {
+    pending = AgentConfig.find().lean()
+      .then(layers => {
+        cache = { at: Date.now(), layers };
+        return layers;
+      })
+      .finally(() => { pending = null; });
+  }
+
+  return pending;
+}
+
+/**
+ * Drop the cached layers (after a layer was written)
+ */
+function invalidate() {
+  cache = { at: 0, layers: null };
+}
+
+// JSON with sorted keys, so equal settings always hash the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Version of a set of effective settings: a short hash that changes with any setting
+ */
+function versionOf(settings) {
+  return crypto.createHash('sha1').update(canonical(settings)).digest('hex').slice(0, 8);
+}
+
+/**
+ * Merge layers (least specific first) into the effective settings
+ */
+function merge(layers) {
+  const settings = {};
+
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.settings || {})) {
+      if (value === undefined || value === null) continue;
+      if (!NESTED.includes(key)) {
+        settings[key] = value;
+        continue;
+      }
+
+      const set = Object.entries(value).filter(([, v]) => v !== undefined && v !== null);
+      if (set.length > 0) settings[key] = { ...settings[key], ...Object.fromEntries(set) };
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Effective settings of a PC in a group, from already loaded layers
+ * @returns {{ version: string, settings: Object, sources: string[] }}
+ *   sources lists the layers that apply, e.g. ['global', 'group:lab', 'pc:PC-001']
+ */
+function resolveFrom(layers, pcId, group = null) {
+  const applying = [
+    layers.find(layer => layer.scope === 'global'),
+    group ? layers.find(layer => layer.scope === 'group' && layer.target === group) : null,
+    layers.find(layer => layer.scope === 'pc' && layer.target === pcId)
+  ].filter(Boolean);
+
+  const settings = merge(applying);
+
+  return {
+    version: versionOf(settings),
+    settings,
+    sources: applying.map(layer => (layer.scope === 'global' ? 'global' : `${layer.scope}:${layer.target}`))
+  };
+}
+
+/**
+ * Effective settings of one PC (its group is looked up)
+ */
+async function resolve(pcId) {
+  const [layers, device] = await Promise.all([
+    getLayers(),
+    Device.findOne({ pcId }, { group: 1 }).lean()
+  ]);
+  return resolveFrom(layers, pcId, device ? device.group : null);
+}
+
+/**
+ * Add the version each PC should be running, as `expectedConfigVersion`, to per-PC
+ * records that already carry their device details (see Device.withDeviceInfo)
+ */
+async function withExpectedVersion(records) {
+  const layers = await getLayers();
+  return records.map(record => ({
+    ...record,
+    expectedConfigVersion: resolveFrom(layers, record.pcId, record.device ? record.device.group : null).version
+  }));
+}
+
+/**
+ * Config block of an ingest response for the agent of pcId
+ * The settings ride along only when the agent reported another version
+ * @param {string} [runningVersion] - configVersion of the agent's newest sample
+ */
+async function forIngestResponse(pcId, runningVersion) {
+  const { version, settings } = await resolve(pcId);
+  return version === runningVersion ? { version } : { version, settings };
+}
+
+module.exports = {
+  invalidate,
+  versionOf,
+  merge,
+  resolveFrom,
+  resolve,
+  withExpectedVersion,
+  forIngestResponse
+};
@@ -0,0 +1,152 @@
+const AlertRule = require('../models/AlertRule');
+const Alert = require('../models/Alert');
+const AlertEvent = require('../models/AlertEvent');
+const Device = require('../models/Device');
+const bus = require('./events');
+
+/**
+ * Write an alert's state transitions to the event log and emit them
+ * Resolves to the AlertEvent documents
+ */
+async function recordTransitions(rule, alert, transitions) {
+  if (transitions.length === 0) return [];
+
+  const events = await AlertEvent.insertMany(transitions.map(transition => ({
+    alertId: alert._id,
+    ruleId: rule._id,
+    ruleName: rule.name,
+    metric: rule.metric,
+    operator: rule.operator,
+    threshold: rule.threshold,
+    severity: rule.severity,
+    pcId: alert.pcId,
+    ...transition
+  })));
+
+  events.forEach(event => bus.emit('alert', event));
+  return events;
+}
+
+/**
+ * Run one rule over a PC's new samples (sorted by measuredAt)
+ * Updates the rule's Alert document and returns the state transitions
+ */
+async function evaluateRule(rule, pcId, samples) {
+  let alert = await Alert.findOne({ ruleId: rule._id, pcId });
+  let state = alert ? alert.state : null;
+  const transitions = [];
+
+  for (const sample of samples) {
+    const at = sample.measuredAt;
+
+    // Late backfill older than what this rule already saw can't change the present
+    if (alert && alert.lastEvaluatedAt && at <= alert.lastEvaluatedAt) continue;
+
+    const value = sample[rule.metric];
+    const breached = rule.isBreached(value);
+
+    // Nothing to track until the condition holds for the first time
+    if (!alert) {
+      if (!breached) continue;
+      alert = new Alert({ ruleId: rule._id, pcId, state: 'pending' });
+    }
+
+    let next = null;
+    if (breached) {
+      if (state !== 'pending' && state !== 'firing') {
+        alert.pendingSince = at;
+        next = 'pending';
+      }
+      if (state !== 'firing' && at - alert.pendingSince >= rule.duration * 1000) {
+        next = 'firing';
+      }
+    } else if (state === 'pending' || state === 'firing') {
+      next = 'resolved';
+    }
+
+    alert.lastValue = value;
+    alert.lastEvaluatedAt = at;
+
+    if (next) {
+      if (next === 'pending') {
+        alert.firedAt = null;
+        alert.resolvedAt = null;
+      }
+      if (next === 'firing') alert.firedAt = at;
+      if (next === 'resolved') alert.resolvedAt = at;
+
+      transitions.push({ from: state, to: next, value, at });
+      alert.state = next;
+      state = next;
+    }
+  }
+
+  if (!alert) return [];
+
+  try {
+    await alert.save();
+  } catch (error) {
+    // An overlapping ingest for the PC created the alert first; start over from it
+    if (alert.isNew && error.code === 11000) return evaluateRule(rule, pcId, samples);
+    throw error;
+  }
+
+  return recordTransitions(rule, alert, transitions);
+}
+
+/**
+ * Drop a rule's alert states, e.g. when it is disabled or deleted
+ * Pending and firing alerts are resolved first, so their history and webhook
+ * receivers see them end. Resolves to the AlertEvent documents created.
+ */
+async function clearRule(rule) {
+  const open = await Alert.find({ ruleId: rule._id, state: { $in: ['pending', 'firing'] } });
+  const at = new Date();
+
+  const events = [];
+  for (const alert of open) {
+    events.push(...await recordTransitions(rule, alert, [
+      { from: alert.state, to: 'resolved', value: alert.lastValue, at }
+    ]));
+  }
+
+  await Alert.deleteMany({ ruleId: rule._id });
+  return events;
+}
+
+/**
+ * Evaluate all enabled alert rules against newly stored samples
+ * Resolves to the AlertEvent documents created for state transitions
+ */
+async function evaluateSamples(samples) {
+  if (samples.length === 0) return [];
+
+  const rules = await AlertRule.find({ enabled: true });
+  if (rules.length === 0) return [];
+
+  // Group by PC and evaluate each PC's samples oldest-first
+  const byPc = new Map();
+  for (const sample of samples) {
+    if (!byPc.has(sample.pcId)) byPc.set(sample.pcId, []);
+    byPc.get(sample.pcId).push(sample);
+  }
+
+  const events = [];
+
+  for (const [pcId, pcSamples] of byPc) {
+    pcSamples.sort((a, b) => a.measuredAt - b.measuredAt);
+    const tags = await Device.getTags(pcId);
+
+    for (const rule of rules) {
+      if (!rule.appliesTo(pcId, tags)) continue;
+      events.push(...await evaluateRule(rule, pcId, pcSamples));
+    }
+  }
+
+  return events;
+}
+
+module.exports = {
+  evaluateSamples,
+  clearRule
+};
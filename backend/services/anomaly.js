@@ -0,0 +1,143 @@
+const Baseline = require('../models/Baseline');
+const Anomaly = require('../models/Anomaly');
+const MetricRollup = require('../models/MetricRollup');
+const bus = require('./events');
+
+// Detection is on unless ANOMALY_DETECTION=false
+const ENABLED = process.env.ANOMALY_DETECTION !== 'false';
+
+// ewma: one baseline per PC and metric; seasonal: one per hour of day
+const MODE = process.env.ANOMALY_MODE === 'seasonal' ? 'seasonal' : 'ewma';
+
+// Deviation (in standard deviations) that counts as an anomaly
+const SIGMA = parseFloat(process.env.ANOMALY_SIGMA) || 3;
+
+// EWMA smoothing factor: weight of each new sample
+const ALPHA = parseFloat(process.env.ANOMALY_ALPHA) || 0.05;
+
+// Samples a baseline needs before it flags anything
+const WARMUP_SAMPLES = parseInt(process.env.ANOMALY_WARMUP_SAMPLES) || 30;
+
+// Floor for the standard deviation (percentage points), so a flat-lined metric
+// doesn't flag every small wobble
+const MIN_STDDEV = parseFloat(process.env.ANOMALY_MIN_STDDEV) || 2;
+
+const slotOf = measuredAt => (MODE === 'seasonal' ? measuredAt.getUTCHours() : -1);
+const keyOf = (metric, slot) => `${metric}:${slot}`;
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Compare a value with a baseline, then fold it in
+ * Returns the anomaly fields when the value deviates by SIGMA or more
+ */
+function observe(baseline, value) {
+  let anomaly = null;
+
+  if (baseline.count >= WARMUP_SAMPLES) {
+    const stdDev = Math.max(Math.sqrt(baseline.variance), MIN_STDDEV);
+    const score = (value - baseline.mean) / stdDev;
+
+    if (Math.abs(score) >= SIGMA) {
+      anomaly = {
+        value,
+        expected: round(baseline.mean),
+        stdDev: round(stdDev),
+        score: round(score),
+        direction: score > 0 ? 'high' : 'low'
+      };
+    }
+  }
+
+  // Plain running average during warm-up, EWMA after
+  const alpha = Math.max(ALPHA, 1 / (baseline.count + 1));
+  const diff = value - baseline.mean;
+  const increment = alpha * diff;
+  baseline.mean += increment;
+  baseline.variance = (1 - alpha) * (baseline.variance + diff * increment);
+  baseline.count++;
+
+  return anomaly;
+}
+
+/**
+ * Check one PC's new samples (sorted by measuredAt) against its baselines
+ * and update them; returns the anomalies found
+ */
+async function detectForPc(pcId, samples) {
+  const stored = await Baseline.find({ pcId }).lean();
+  const baselines = new Map(stored.map(b => [keyOf(b.metric, b.slot), b]));
+  const touched = new Set();
+  const anomalies = [];
+
+  for (const sample of samples) {
+    const slot = slotOf(sample.measuredAt);
+
+    for (const metric of MetricRollup.METRICS) {
+      const value = sample[metric];
+      if (typeof value !== 'number') continue;
+
+      const key = keyOf(metric, slot);
+      if (!baselines.has(key)) baselines.set(key, { pcId, metric, slot, mean: 0, variance: 0, count: 0 });
+      const baseline = baselines.get(key);
+
+      // Late backfill older than what the baseline already saw can't be judged against it
+      if (baseline.lastMeasuredAt && sample.measuredAt <= baseline.lastMeasuredAt) continue;
+
+      const anomaly = observe(baseline, value);
+      baseline.lastMeasuredAt = sample.measuredAt;
+      touched.add(key);
+
+      if (anomaly) anomalies.push({ pcId, metric, mode: MODE, measuredAt: sample.measuredAt, ...anomaly });
+    }
+  }
+
+  if (touched.size > 0) {
+    await Baseline.bulkWrite([...touched].map(key => {
+      const { metric, slot, mean, variance, count, lastMeasuredAt } = baselines.get(key);
+      return {
+        updateOne: {
+          filter: { pcId, metric, slot },
+          update: { $set: { mean, variance, count, lastMeasuredAt } },
+          upsert: true
+        }
+      };
+    }));
+  }
+
+  return anomalies;
+}
+
+/**
+ * Check newly stored samples against their PCs' baselines
+ * Resolves to the Anomaly documents created
+ */
+async function detectSamples(samples) {
+  if (!ENABLED || samples.length === 0) return [];
+
+  // Group by PC and check each PC's samples oldest-first
+  const byPc = new Map();
+  for (const sample of samples) {
+    if (!byPc.has(sample.pcId)) byPc.set(sample.pcId, []);
+    byPc.get(sample.pcId).push(sample);
+  }
+
+  const found = [];
+  for (const [pcId, pcSamples] of byPc) {
+    pcSamples.sort((a, b) => a.measuredAt - b.measuredAt);
+    found.push(...await detectForPc(pcId, pcSamples));
+  }
+
+  if (found.length === 0) return [];
+
+  const docs = await Anomaly.insertMany(found);
+  docs.forEach(doc => bus.emit('anomaly', doc.toJSON()));
+  return docs;
+}
+
+module.exports = {
+  ENABLED,
+  MODE,
+  SIGMA,
+  observe,
+  detectSamples
+};
@@ -0,0 +1,106 @@
+const CustomMetric = require('../models/CustomMetric');
+const series = require('./series');
+
+const round = value => (value == null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Custom metric names reported since `since`, with the PCs reporting each
+ * @param {Object} options
+ * @param {Date} options.since
+ * @param {string|Object} [options.pcIdFilter] - Restrict to these PCs (see Device.buildPcIdFilter)
+ * @returns {Promise<Array<{ name, pcIds, values, lastAt }>>} Sorted by name
+ */
+async function listNames({ since, pcIdFilter }) {
+  const match = { measuredAt: { $gte: since } };
+  if (pcIdFilter) match.pcId = pcIdFilter;
+
+  const names = await CustomMetric.aggregate([
+    { $match: match },
+    { $group: { _id: '$name', pcIds: { $addToSet: '$pcId' }, values: { $sum: 1 }, lastAt: { $max: '$measuredAt' } } },
+    { $sort: { _id: 1 } }
+  ]).allowDiskUse(true);
+
+  return names.map(({ _id, pcIds, values, lastAt }) => ({ name: _id, pcIds: pcIds.sort(), values, lastAt }));
+}
+
+/**
+ * One custom metric per PC on a shared time grid: { time, values: { [pcId]: avg|null } }
+ * When more than `maxPcs` PCs report it, the ones with the highest average are kept
+ * @param {Object} options
+ * @param {string} options.name - Metric name
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {number} options.bucketSeconds - Bucket size
+ * @param {string|Object} [options.pcIdFilter] - Restrict to these PCs (see Device.buildPcIdFilter)
+ * @param {number} [options.maxPcs] - Most PCs returned (default: series.MAX_COMPARE_PCS)
+ */
+async function getSeries({ name, from, to, bucketSeconds, pcIdFilter, maxPcs = series.MAX_COMPARE_PCS }) {
+  const bucketMs = bucketSeconds * 1000;
+  const start = new Date(Math.floor(from.getTime() / bucketMs) * bucketMs);
+
+  const match = { name, measuredAt: { $gte: start, $lte: to } };
+  if (pcIdFilter) match.pcId = pcIdFilter;
+
+  const buckets = await CustomMetric.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { pcId: '$pcId', time: series.bucketExpression('$measuredAt', bucketMs) },
+        value: { $avg: '$value' },
+        min: { $min: '$value' },
+        max: { $max: '$value' }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  // PCs ranked by their average over the window
+  const totals = new Map();
+  for (const bucket of buckets) {
+    const total = totals.get(bucket._id.pcId) || { sum: 0, count: 0 };
+    total.sum += bucket.value;
+    total.count++;
+    totals.set(bucket._id.pcId, total);
+  }
+  const ranked = [...totals.entries()]
+    .sort(([, a], [, b]) => b.sum / b.count - a.sum / a.count)
+    .map(([pcId]) => pcId);
+  const pcIds = ranked.slice(0, maxPcs);
+
+  const byTime = new Map();
+  let min = null;
+  let max = null;
+  for (const bucket of buckets) {
+    if (!pcIds.includes(bucket._id.pcId)) continue;
+    const time = bucket._id.time.getTime();
+    if (!byTime.has(time)) byTime.set(time, {});
+    byTime.get(time)[bucket._id.pcId] = round(bucket.value);
+    min = min === null ? bucket.min : Math.min(min, bucket.min);
+    max = max === null ? bucket.max : Math.max(max, bucket.max);
+  }
+
+  const points = [];
+  for (let time = start.getTime(); time <= to.getTime(); time += bucketMs) {
+    const found = byTime.get(time) || {};
+    points.push({
+      time: new Date(time),
+      values: Object.fromEntries(pcIds.map(pcId => [pcId, found[pcId] ?? null]))
+    });
+  }
+
+  return {
+    name,
+    bucket: bucketSeconds,
+    from: start,
+    to,
+    pcIds,
+    truncated: ranked.length > pcIds.length,
+    min,
+    max,
+    points
+  };
+}
+
+module.exports = {
+  listNames,
+  getSeries
+};
@@ -0,0 +1,128 @@
+const SystemInfo = require('../models/SystemInfo');
+const MetricRollup = require('../models/MetricRollup');
+
+// Percentiles reported for every metric
+const PERCENTILES = { p50: 0.5, p90: 0.9, p95: 0.95, p99: 0.99 };
+
+// Statistics a ranking can be sorted by
+const STATS = [...Object.keys(PERCENTILES), 'max', 'above'];
+
+// Usage (%) above which time is counted as "above threshold" by default
+const DEFAULT_THRESHOLD = 80;
+
+const round = value => (value == null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Percentiles, max and share of time above a threshold of weighted values
+ * Raw samples weigh 1 each; rollup buckets weigh their sample count
+ * @param {Array<{ value: number, weight: number }>} entries
+ * @param {number} max - Largest value seen (rollup maximums exceed the bucket averages)
+ */
+function summarize(entries, max, threshold) {
+  const values = entries.filter(entry => entry.value != null && entry.weight > 0);
+  if (values.length === 0) {
+    return { ...Object.fromEntries(Object.keys(PERCENTILES).map(name => [name, null])), max: null, above: null };
+  }
+
+  values.sort((a, b) => a.value - b.value);
+  const total = values.reduce((sum, entry) => sum + entry.weight, 0);
+  const stats = {};
+
+  // Nearest rank over cumulative weight
+  for (const [name, p] of Object.entries(PERCENTILES)) {
+    const rank = p * total;
+    let cumulative = 0;
+    stats[name] = values.find(entry => (cumulative += entry.weight) >= rank).value;
+  }
+
+  const aboveWeight = values.reduce((sum, entry) => sum + (entry.value > threshold ? entry.weight : 0), 0);
+  stats.max = max;
+  stats.above = round((aboveWeight / total) * 100);
+
+  for (const name of Object.keys(PERCENTILES)) stats[name] = round(stats[name]);
+  return stats;
+}
+
+/**
+ * Per-PC values from raw samples: every sample weighs 1
+ */
+async function rawEntries(from, to, pcIdFilter) {
+  const match = { measuredAt: { $gte: from, $lte: to } };
+  if (pcIdFilter) match.pcId = pcIdFilter;
+
+  const group = { _id: '$pcId', samples: { $sum: 1 } };
+  for (const metric of MetricRollup.METRICS) {
+    group[metric] = { $push: { value: `$${metric}`, weight: { $literal: 1 } } };
+    group[`${metric}Max`] = { $max: `$${metric}` };
+  }
+
+  return SystemInfo.aggregate([{ $match: match }, { $group: group }]).allowDiskUse(true);
+}
+
+/**
+ * Per-PC values from a rollup tier: bucket averages weighted by their sample count
+ */
+async function rollupEntries(resolution, from, to, pcIdFilter) {
+  const match = { resolution, bucketStart: { $gte: from, $lte: to } };
+  if (pcIdFilter) match.pcId = pcIdFilter;
+
+  const group = { _id: '$pcId', samples: { $sum: '$count' } };
+  for (const metric of MetricRollup.METRICS) {
+    group[metric] = { $push: { value: `$${metric}.avg`, weight: '$count' } };
+    group[`${metric}Max`] = { $max: `$${metric}.max` };
+  }
+
+  return MetricRollup.aggregate([{ $match: match }, { $group: group }]).allowDiskUse(true);
+}
+
+/**
+ * Distribution of cpu / ram / disk per PC and fleet-wide over [from, to]
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {string|Object} [options.pcIdFilter] - Restrict to these PCs (see Device.buildPcIdFilter)
+ * @param {string} options.source - raw | 5m | 1h (see series.pickSource)
+ * @param {number} [options.threshold] - Usage (%) counted in `above`
+ * @returns {Promise<{ fleet: Object, pcs: Array }>} each with samples and { p50, p90, p95, p99, max, above } per metric
+ */
+async function getDistribution({ from, to, pcIdFilter, source, threshold = DEFAULT_THRESHOLD }) {
+  const perPc = source === 'raw'
+    ? await rawEntries(from, to, pcIdFilter)
+    : await rollupEntries(source, from, to, pcIdFilter);
+
+  const pcs = perPc.map(pc => {
+    const stats = { pcId: pc._id, samples: pc.samples };
+    for (const metric of MetricRollup.METRICS) {
+      stats[metric] = summarize(pc[metric], pc[`${metric}Max`], threshold);
+    }
+    return stats;
+  });
+
+  const fleet = { pcs: pcs.length, samples: perPc.reduce((sum, pc) => sum + pc.samples, 0) };
+  for (const metric of MetricRollup.METRICS) {
+    const maxes = perPc.map(pc => pc[`${metric}Max`]).filter(value => value != null);
+    fleet[metric] = summarize(
+      perPc.flatMap(pc => pc[metric]),
+      maxes.length > 0 ? Math.max(...maxes) : null,
+      threshold
+    );
+  }
+
+  return { fleet, pcs };
+}
+
+/**
+ * Sort PCs by one statistic, highest first (PCs without data last)
+ */
+function rank(pcs, metric, stat) {
+  const valueOf = pc => (pc[metric][stat] == null ? -Infinity : pc[metric][stat]);
+  return [...pcs].sort((a, b) => valueOf(b) - valueOf(a));
+}
+
+module.exports = {
+  STATS,
+  DEFAULT_THRESHOLD,
+  summarize,
+  getDistribution,
+  rank
+};
@@ -0,0 +1,19 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Process-wide event bus
+ *
+ * Events:
+ *   - 'sample'    (SystemInfo)  a sample was stored
+ *   - 'alert'     (AlertEvent)  an alert changed state
+ *   - 'pc-status' ({ pcId, status, previous, lastSeen })  a PC went offline / came back online
+ *   - 'anomaly'   (Anomaly)     a sample deviated from its PC's baseline
+ *
+ * Listeners must not throw and must not block: emitters are on the ingest path.
+ */
+const bus = new EventEmitter();
+
+// Webhooks, streaming clients etc. all subscribe here
+bus.setMaxListeners(100);
+
+module.exports = bus;
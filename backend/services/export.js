@@ -0,0 +1,145 @@
+const SystemInfo = require('../models/SystemInfo');
+const MetricRollup = require('../models/MetricRollup');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Metrics that can be exported from raw samples; rollups only hold MetricRollup.METRICS
+const RAW_METRICS = [...MetricRollup.METRICS, 'uptime'];
+
+/**
+ * Metrics available at a resolution
+ */
+const metricsFor = resolution => (resolution === 'raw' ? RAW_METRICS : MetricRollup.METRICS);
+
+/**
+ * Column names of an export: raw rows carry the sample values, rollup rows the
+ * sample count and avg / min / max of every metric
+ */
+function columnsFor(resolution, metrics) {
+  if (resolution === 'raw') return ['pcId', 'measuredAt', ...metrics];
+  return ['pcId', 'measuredAt', 'count', ...metrics.flatMap(m => [`${m}Avg`, `${m}Min`, `${m}Max`])];
+}
+
+// Flatten a sample or rollup bucket into one row keyed by column name
+function toRow(doc, resolution, metrics) {
+  if (resolution === 'raw') {
+    const row = { pcId: doc.pcId, measuredAt: doc.measuredAt };
+    for (const metric of metrics) row[metric] = doc[metric] ?? null;
+    return row;
+  }
+
+  const row = { pcId: doc.pcId, measuredAt: doc.bucketStart, count: doc.count };
+  for (const metric of metrics) {
+    const stats = doc[metric] || {};
+    row[`${metric}Avg`] = stats.avg == null ? null : Math.round(stats.avg * 100) / 100;
+    row[`${metric}Min`] = stats.min ?? null;
+    row[`${metric}Max`] = stats.max ?? null;
+  }
+  return row;
+}
+
+// Quote a CSV field when it holds a separator, quote or line break
+function csvField(value) {
+  if (value == null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const formatRow = (row, columns, format) => (format === 'csv'
+  ? `${columns.map(column => csvField(row[column])).join(',')}\n`
+  : `${JSON.stringify(row)}\n`);
+
+/**
+ * PCs with data in the window, sorted by pcId
+ * @param {string[]} [options.pcIds] - Only these PCs
+ * @param {string|Object} [options.pcIdFilter] - And only these (see Device.buildPcIdFilter)
+ */
+async function listPcIds({ resolution, from, to, pcIds, pcIdFilter }) {
+  const conditions = [];
+  if (pcIds) conditions.push({ pcId: { $in: pcIds } });
+  if (pcIdFilter) conditions.push({ pcId: pcIdFilter });
+
+  const query = resolution === 'raw'
+    ? { measuredAt: { $gte: from, $lte: to } }
+    : { resolution, bucketStart: { $gte: from, $lte: to } };
+  if (conditions.length > 0) query.$and = conditions;
+
+  const ids = await (resolution === 'raw' ? SystemInfo : MetricRollup).distinct('pcId', query);
+  return ids.sort();
+}
+
+// Cursor over one PC's samples / buckets in the window, oldest first
+function cursorFor(pcId, { resolution, from, to, metrics }) {
+  if (resolution === 'raw') {
+    const projection = { _id: 0, pcId: 1, measuredAt: 1, ...Object.fromEntries(metrics.map(m => [m, 1])) };
+    return SystemInfo.find({ pcId, measuredAt: { $gte: from, $lte: to } }, projection)
+      .sort({ measuredAt: 1 })
+      .lean()
+      .cursor();
+  }
+
+  const projection = { _id: 0, pcId: 1, bucketStart: 1, count: 1, ...Object.fromEntries(metrics.map(m => [m, 1])) };
+  return MetricRollup.find({ resolution, pcId, bucketStart: { $gte: from, $lte: to } }, projection)
+    .sort({ bucketStart: 1 })
+    .lean()
+    .cursor();
+}
+
+// Resolves once the response can take more data (or the client went away)
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Stream an export into an HTTP response, one PC at a time, honouring backpressure
+ * so memory use stays flat however large the export is
+ * Stops early when the client disconnects
+ * @param {Object} res - Express response (headers not yet sent)
+ * @param {Object} options
+ * @param {string[]} options.pcIds - PCs to export, in order (see listPcIds)
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {string} options.resolution - raw | 5m | 1h
+ * @param {string[]} options.metrics - Subset of metricsFor(resolution)
+ * @param {string} options.format - csv | ndjson
+ */
+async function streamExport(res, { pcIds, from, to, resolution, metrics, format }) {
+  const columns = columnsFor(resolution, metrics);
+  const write = async chunk => {
+    if (!res.write(chunk)) await drained(res);
+  };
+
+  if (format === 'csv') await write(`${columns.join(',')}\n`);
+
+  for (const pcId of pcIds) {
+    const cursor = cursorFor(pcId, { resolution, from, to, metrics });
+    try {
+      for await (const doc of cursor) {
+        if (res.destroyed) return;
+        await write(formatRow(toRow(doc, resolution, metrics), columns, format));
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  res.end();
+}
+
+module.exports = {
+  FORMATS,
+  metricsFor,
+  listPcIds,
+  streamExport
+};
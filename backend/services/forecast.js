@@ -0,0 +1,134 @@
+const SystemInfo = require('../models/SystemInfo');
+const MetricRollup = require('../models/MetricRollup');
+const series = require('./series');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Disk history the trend is fitted to
+const WINDOW_HOURS = (parseFloat(process.env.FORECAST_WINDOW_DAYS) || 7) * 24;
+
+// Disk usage (%) counted as full
+const DISK_FULL_PERCENT = parseFloat(process.env.DISK_FULL_PERCENT) || 100;
+
+// A trend needs this many points spread over at least this long
+const MIN_POINTS = 12;
+const MIN_SPAN_HOURS = 6;
+
+// Growth below this (percentage points per day) counts as flat
+const MIN_GROWTH_PER_DAY = 0.01;
+
+const round = value => (value == null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Per-PC least-squares sums of disk usage against time, x in days before `to`
+ * The latest value rides along as `current`
+ */
+function trendPipeline(match, timeField, valueField, to) {
+  const x = { $divide: [{ $subtract: [`$${timeField}`, to] }, DAY_MS] };
+
+  return [
+    { $match: { ...match, [valueField]: { $ne: null } } },
+    { $sort: { [timeField]: 1 } },
+    { $project: { pcId: 1, x, y: `$${valueField}` } },
+    {
+      $group: {
+        _id: '$pcId',
+        n: { $sum: 1 },
+        sx: { $sum: '$x' },
+        sy: { $sum: '$y' },
+        sxx: { $sum: { $multiply: ['$x', '$x'] } },
+        sxy: { $sum: { $multiply: ['$x', '$y'] } },
+        syy: { $sum: { $multiply: ['$y', '$y'] } },
+        firstX: { $min: '$x' },
+        lastX: { $max: '$x' },
+        current: { $last: '$y' }
+      }
+    }
+  ];
+}
+
+/**
+ * Forecast of one PC from its regression sums
+ * status: full (at or over the limit), growing (daysToFull set), stable (flat or
+ * shrinking) or insufficient-data (too few points or too short a span)
+ */
+function fromSums(sums, limit, to) {
+  const { n, sx, sy, sxx, sxy, syy, firstX, lastX } = sums;
+  const forecast = {
+    pcId: sums._id,
+    current: round(sums.current),
+    points: n,
+    trendPerDay: null,
+    r2: null,
+    daysToFull: null,
+    fullAt: null,
+    status: 'insufficient-data'
+  };
+
+  if (sums.current >= limit) {
+    return { ...forecast, daysToFull: 0, fullAt: to, status: 'full' };
+  }
+
+  const denominator = n * sxx - sx * sx;
+  if (n < MIN_POINTS || (lastX - firstX) * 24 < MIN_SPAN_HOURS || denominator <= 0) {
+    return forecast;
+  }
+
+  const slope = (n * sxy - sx * sy) / denominator;
+  const now = (sy - slope * sx) / n; // fitted usage at `to`
+  const varianceY = n * syy - sy * sy;
+
+  forecast.trendPerDay = round(slope);
+  forecast.r2 = varianceY > 0 ? round(((n * sxy - sx * sy) ** 2) / (denominator * varianceY)) : null;
+
+  if (slope < MIN_GROWTH_PER_DAY) {
+    return { ...forecast, status: 'stable' };
+  }
+
+  const days = Math.max(0, (limit - now) / slope);
+  return {
+    ...forecast,
+    daysToFull: round(days),
+    fullAt: new Date(to.getTime() + days * DAY_MS),
+    status: 'growing'
+  };
+}
+
+/**
+ * Disk-full forecasts: a linear trend fitted to each PC's disk usage over the
+ * last `hours`, extrapolated to `limit`
+ * Windows past raw retention use the finest rollup tier holding them (bucket averages)
+ * @param {Object} options
+ * @param {number} [options.hours] - Window the trend is fitted to
+ * @param {number} [options.limit] - Disk usage (%) counted as full
+ * @param {string|Object} [options.pcIdFilter] - Restrict to these PCs (see Device.buildPcIdFilter)
+ * @returns {Promise<{ source, from, to, limit, pcs: Array }>} PCs soonest full first
+ */
+async function getForecasts({ hours = WINDOW_HOURS, limit = DISK_FULL_PERCENT, pcIdFilter } = {}) {
+  const to = new Date();
+  const from = new Date(to.getTime() - hours * HOUR_MS);
+  const source = series.pickSource(hours, 3600);
+  if (!source) throw new Error(`No data source holds a ${hours} hour window`);
+
+  const match = source === 'raw'
+    ? { measuredAt: { $gte: from, $lte: to } }
+    : { resolution: source, bucketStart: { $gte: from, $lte: to } };
+  if (pcIdFilter) match.pcId = pcIdFilter;
+
+  const sums = source === 'raw'
+    ? await SystemInfo.aggregate(trendPipeline(match, 'measuredAt', 'disk', to)).allowDiskUse(true)
+    : await MetricRollup.aggregate(trendPipeline(match, 'bucketStart', 'disk.avg', to)).allowDiskUse(true);
+
+  const pcs = sums.map(pc => fromSums(pc, limit, to));
+  pcs.sort((a, b) => (a.daysToFull ?? Infinity) - (b.daysToFull ?? Infinity) || a.pcId.localeCompare(b.pcId));
+
+  return { source, from, to, limit, pcs };
+}
+
+module.exports = {
+  WINDOW_HOURS,
+  DISK_FULL_PERCENT,
+  fromSums,
+  getForecasts
+};
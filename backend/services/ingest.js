@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const SystemInfo = require('../models/SystemInfo');
+const CustomMetric = require('../models/CustomMetric');
+const alertEngine = require('./alertEngine');
+const anomaly = require('./anomaly');
+const presence = require('./presence');
+const bus = require('./events');
+const metrics = require('./metrics');
+
+// How far in the future a client-supplied timestamp may be (clock skew)
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Largest batch accepted by POST /api/systemdata/batch
+const MAX_BATCH_SIZE = 1000;
+
+// Upper bounds on the extended metric arrays, to keep documents small
+const MAX_CORES = 1024;
+const MAX_DISKS = 64;
+const MAX_INTERFACES = 64;
+const MAX_PROCESSES = 50;
+const MAX_CUSTOM_METRICS = 100;
+
+// How far a summary's avg / last may fall outside [min, max] (agents round each
+// field separately) before the entry is dropped; within it they are clamped
+const SUMMARY_SLACK = 0.01;
+
+const isNonNegative = value => typeof value === 'number' && value >= 0;
+const isPercentage = value => typeof value === 'number' && value >= 0 && value <= 100;
+const isOptional = check => value => value === undefined || value === null || check(value);
+
+const isSet = value => value !== undefined && value !== null;
+
+/**
+ * Entries of an extended metric list that pass `isValid`, at most `max` of them
+ * What is left out is reported in `warnings`; a value that isn't an array is dropped
+ * @returns {Array|undefined}
+ */
+function filterList(name, list, max, isValid, format, warnings) {
+  if (!Array.isArray(list)) {
+    warnings.push(`${name} dropped: expected an array of up to ${max} ${format}`);
+    return undefined;
+  }
+
+  const kept = list.filter(isValid).slice(0, max);
+  if (kept.length < list.length) {
+    warnings.push(`${name}: ${list.length - kept.length} of ${list.length} entries dropped, expected up to ${max} ${format}`);
+  }
+  return kept;
+}
+
+/**
+ * Validate the optional extended metrics of a sample
+ * Invalid values are left out and reported as warnings instead of rejecting the
+ * sample, so an odd extended field never costs the core metrics: bad list entries
+ * (disks, interfaces, processes, custom metrics) are dropped one by one, other
+ * fields as a whole
+ * @returns {{ extended: Object, warnings: string[] }}
+ */
+function validateExtended(body) {
+  const { cpuCores, disks, network, swap, loadAvg, topProcesses, custom, summary } = body;
+  const extended = {};
+  const warnings = [];
+
+  if (isSet(cpuCores)) {
+    // Per-core loads are matched to cores by position, so one bad value drops them all
+    if (Array.isArray(cpuCores) && cpuCores.length <= MAX_CORES && cpuCores.every(isPercentage)) {
+      extended.cpuCores = cpuCores;
+    } else {
+      warnings.push(`cpuCores dropped: expected an array of up to ${MAX_CORES} percentages (0-100)`);
+    }
+  }
+
+  if (isSet(disks)) {
+    const kept = filterList('disks', disks, MAX_DISKS, d =>
+      d && typeof d.mount === 'string' && d.mount &&
+      isOptional(isNonNegative)(d.used) && isOptional(isNonNegative)(d.total) && isOptional(isPercentage)(d.usage),
+    '{ mount, used, total, usage }', warnings);
+    if (kept) extended.disks = kept.map(({ mount, fs, type, used, total, usage }) => ({ mount, fs, type, used, total, usage }));
+  }
+
+  if (isSet(network)) {
+    const kept = filterList('network', network, MAX_INTERFACES, n =>
+      n && typeof n.iface === 'string' && n.iface &&
+      ['rxSec', 'txSec', 'rxBytes', 'txBytes'].every(field => isOptional(isNonNegative)(n[field])),
+    '{ iface, rxSec, txSec, rxBytes, txBytes }', warnings);
+    if (kept) extended.network = kept.map(({ iface, rxSec, txSec, rxBytes, txBytes }) => ({ iface, rxSec, txSec, rxBytes, txBytes }));
+  }
+
+  if (isSet(swap)) {
+    if (typeof swap === 'object' && isNonNegative(swap.used) && isNonNegative(swap.total) && isOptional(isPercentage)(swap.usage)) {
+      extended.swap = { used: swap.used, total: swap.total, usage: swap.usage };
+    } else {
+      warnings.push('swap dropped: expected { used, total, usage } in bytes / percent');
+    }
+  }
+
+  if (isSet(loadAvg)) {
+    if (Array.isArray(loadAvg) && loadAvg.length <= 3 && loadAvg.every(isNonNegative)) {
+      extended.loadAvg = loadAvg;
+    } else {
+      warnings.push('loadAvg dropped: expected up to 3 non-negative numbers (1, 5, 15 minutes)');
+    }
+  }
+
+  if (isSet(topProcesses)) {
+    if (typeof topProcesses === 'object' && !Array.isArray(topProcesses)) {
+      const isProcess = p => p && typeof p.name === 'string' &&
+        ['pid', 'cpu', 'mem', 'memRss'].every(field => isOptional(isNonNegative)(p[field]));
+      const pick = (name, list) => {
+        if (list === undefined) return undefined;
+        const kept = filterList(`topProcesses.${name}`, list, MAX_PROCESSES, isProcess, '{ pid, name, user, cpu, mem, memRss }', warnings);
+        return kept && kept.map(({ pid, name, user, cpu, mem, memRss }) => ({ pid, name, user, cpu, mem, memRss }));
+      };
+      extended.topProcesses = { byCpu: pick('byCpu', topProcesses.byCpu), byMem: pick('byMem', topProcesses.byMem) };
+    } else {
+      warnings.push(`topProcesses dropped: expected { byCpu, byMem } lists of up to ${MAX_PROCESSES} { pid, name, user, cpu, mem, memRss }`);
+    }
+  }
+
+  if (isSet(custom)) {
+    if (typeof custom === 'object' && !Array.isArray(custom)) {
+      const entries = Object.entries(custom);
+      const kept = entries
+        .filter(([name, value]) => CustomMetric.NAME_PATTERN.test(name) && typeof value === 'number' && Number.isFinite(value))
+        .slice(0, MAX_CUSTOM_METRICS);
+      if (kept.length < entries.length) {
+        warnings.push(`custom: ${entries.length - kept.length} of ${entries.length} metrics dropped, expected up to ${MAX_CUSTOM_METRICS} { name: number } (names: letters, digits, _ . : -)`);
+      }
+      if (kept.length > 0) extended.custom = Object.fromEntries(kept);
+    } else {
+      warnings.push(`custom dropped: expected an object of up to ${MAX_CUSTOM_METRICS} { name: number }`);
+    }
+  }
+
+  if (isSet(summary)) {
+    const format = `{ ${SystemInfo.SUMMARY_METRICS.join(' / ')}: { min, avg, max, last, samples } } (percentages, avg and last between min and max)`;
+    const isBetween = (value, min, max) => value >= min - SUMMARY_SLACK && value <= max + SUMMARY_SLACK;
+    const isSummary = s => s && typeof s === 'object' &&
+      ['min', 'avg', 'max', 'last'].every(field => isPercentage(s[field])) &&
+      s.min <= s.max && isBetween(s.avg, s.min, s.max) && isBetween(s.last, s.min, s.max) &&
+      Number.isInteger(s.samples) && s.samples >= 1;
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+    if (typeof summary === 'object' && !Array.isArray(summary)) {
+      const entries = Object.entries(summary);
+      const kept = entries.filter(([metric, s]) => SystemInfo.SUMMARY_METRICS.includes(metric) && isSummary(s));
+      if (kept.length < entries.length) {
+        warnings.push(`summary: ${entries.length - kept.length} of ${entries.length} entries dropped, expected ${format}`);
+      }
+      if (kept.length > 0) {
+        extended.summary = Object.fromEntries(kept.map(([metric, { min, avg, max, last, samples }]) => [
+          metric,
+          { min, avg: clamp(avg, min, max), max, last: clamp(last, min, max), samples }
+        ]));
+      }
+    } else {
+      warnings.push(`summary dropped: expected ${format}`);
+    }
+  }
+
+  return { extended, warnings };
+}
+
+/**
+ * Validate a raw sample from a request body
+ * Returns { sample, warnings } with a normalized document and the extended fields
+ * that were left out, or { error } with a message
+ */
+function validateSample(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Sample must be an object' };
+  }
+
+  const { pcId, cpu, ram, disk, os, uptime, interval, configVersion } = body;
+
+  // Validate required fields
+  if (!pcId || cpu === undefined || ram === undefined || disk === undefined || !os || uptime === undefined) {
+    return { error: 'Missing required fields: pcId, cpu, ram, disk, os, uptime' };
+  }
+
+  // Validate types and data ranges
+  if (![cpu, ram, disk].every(isPercentage) || !isNonNegative(uptime) || typeof os !== 'string') {
+    return { error: 'Invalid data: cpu/ram/disk numbers (0-100), uptime number (>=0), os string' };
+  }
+
+  if (interval !== undefined && !(typeof interval === 'number' && interval >= 1)) {
+    return { error: 'Invalid interval: reporting interval in seconds (>=1)' };
+  }
+
+  if (configVersion !== undefined && configVersion !== null && (typeof configVersion !== 'string' || configVersion.length > 64)) {
+    return { error: 'Invalid configVersion: string of up to 64 characters' };
+  }
+
+  // Collection time supplied by the client (defaults to now)
+  const measuredAt = body.measuredAt !== undefined ? new Date(body.measuredAt) : new Date();
+  if (isNaN(measuredAt.getTime()) || measuredAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return { error: 'Invalid measuredAt: must be a valid date and not in the future' };
+  }
+
+  const { extended, warnings } = validateExtended(body);
+
+  return {
+    sample: { pcId: String(pcId), cpu, ram, disk, os, uptime, interval, configVersion: configVersion || undefined, measuredAt, ...extended },
+    warnings
+  };
+}
+
+/**
+ * Processing that runs once samples are stored
+ * Failures are logged and never fail the ingest itself
+ */
+async function afterIngest(docs) {
+  metrics.samplesIngested.inc({}, docs.length);
+
+  try {
+    await presence.recordSamples(docs);
+  } catch (error) {
+    console.error('Error updating PC presence:', error);
+  }
+
+  docs.forEach(doc => bus.emit('sample', doc.toJSON()));
+
+  try {
+    await alertEngine.evaluateSamples(docs);
+  } catch (error) {
+    console.error('Error evaluating alert rules:', error);
+  }
+
+  try {
+    await anomaly.detectSamples(docs);
+  } catch (error) {
+    console.error('Error detecting anomalies:', error);
+  }
+}
+
+/**
+ * Save the plugin metrics (`custom`) of stored samples, one document per value
+ * Failures are logged; the samples themselves are already stored
+ */
+async function storeCustomMetrics(samples) {
+  const docs = samples.flatMap(sample => Object.entries(sample.custom || {}).map(([name, value]) => ({
+    pcId: sample.pcId,
+    name,
+    value,
+    measuredAt: sample.measuredAt
+  })));
+  if (docs.length === 0) return;
+
+  try {
+    await CustomMetric.insertMany(docs, { ordered: false, lean: true });
+  } catch (error) {
+    console.error('Error storing custom metrics:', error);
+  }
+}
+
+/**
+ * Save a single validated sample
+ * Rejects with a mongoose ValidationError when the document fails schema validation
+ */
+async function storeSample(sample) {
+  const doc = new SystemInfo(sample);
+  await doc.save();
+  await storeCustomMetrics([sample]);
+  await afterIngest([doc]);
+  return doc;
+}
+
+/**
+ * Save many validated samples in one round trip
+ * Returns an array aligned with `samples`: { doc } or { error, invalid? } per item;
+ * invalid marks samples that failed schema validation (the others were refused by
+ * the database)
+ */
+async function storeSamples(samples) {
+  const results = samples.map(() => ({}));
+  if (samples.length === 0) return results;
+
+  const docs = samples.map(sample => new SystemInfo(sample));
+  const failed = new Map();
+
+  try {
+    // Without throwOnValidationError, unordered inserts skip invalid documents silently
+    await SystemInfo.insertMany(docs, { ordered: false, throwOnValidationError: true });
+  } catch (error) {
+    // The valid documents are still stored; `results` holds the validation error of
+    // each invalid one and `writeErrors` the documents the database refused, by index
+    if (!error.results && !error.writeErrors) throw error;
+    (error.results || []).forEach((result, i) => {
+      if (result instanceof mongoose.Error.ValidationError) failed.set(i, { error: result.message, invalid: true });
+    });
+    for (const writeError of error.writeErrors || []) {
+      failed.set(writeError.index, { error: writeError.errmsg || writeError.err?.errmsg || 'Write failed' });
+    }
+  }
+
+  docs.forEach((doc, i) => {
+    results[i] = failed.get(i) || { doc };
+  });
+
+  await storeCustomMetrics(samples.filter((sample, i) => !failed.has(i)));
+
+  await afterIngest(results.filter(result => result.doc).map(result => result.doc));
+
+  return results;
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  validateSample,
+  storeSample,
+  storeSamples
+};
@@ -0,0 +1,191 @@
+const presence = require('./presence');
+
+// How long the per-PC gauges are reused between scrapes
+const CACHE_TTL_MS = (parseFloat(process.env.METRICS_CACHE_SECONDS) || 15) * 1000;
+
+// Request latency histogram buckets, in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Label values are quoted; backslash, quote and newline must be escaped
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// HELP / TYPE header of one metric family
+const header = (name, type, help) => `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`;
+
+/**
+ * Monotonic counter with optional labels
+ */
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map(); // label string -> value
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    let text = header(this.name, 'counter', this.help);
+    if (this.values.size === 0) text += `${this.name} 0\n`;
+    for (const [labels, value] of this.values) text += `${this.name}${labels} ${value}\n`;
+    return text;
+  }
+}
+
+/**
+ * Cumulative histogram with optional labels
+ */
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map(); // label string -> { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    let text = header(this.name, 'histogram', this.help);
+    for (const [key, series] of this.series) {
+      this.buckets.forEach((bound, i) => {
+        text += `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}\n`;
+      });
+      text += `${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}\n`;
+      text += `${this.name}_sum${key} ${series.sum}\n`;
+      text += `${this.name}_count${key} ${series.count}\n`;
+    }
+    return text;
+  }
+}
+
+/* ================= BACKEND COUNTERS ================= */
+
+const samplesIngested = new Counter(
+  'pcmon_samples_ingested_total',
+  'Samples stored through the ingest endpoints'
+);
+
+const samplesRejected = new Counter(
+  'pcmon_samples_rejected_total',
+  'Samples rejected by the ingest endpoints, by reason (invalid, forbidden, storage)'
+);
+
+const requestDuration = new Histogram(
+  'pcmon_http_request_duration_seconds',
+  'HTTP request latency by method, route and status code',
+  LATENCY_BUCKETS
+);
+
+/**
+ * Express middleware timing each request into the latency histogram
+ * Routes are labelled by their pattern (e.g. /api/alerts/rules/:id) to keep cardinality low
+ */
+function requestTimer(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    // Event streams stay open for as long as the dashboard does
+    if (String(res.getHeader('Content-Type') || '').startsWith('text/event-stream')) return;
+
+    let route = 'unmatched';
+    if (req.route) route = req.route.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    requestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+  });
+
+  next();
+}
+
+/* ================= FLEET GAUGES ================= */
+
+const FLEET_GAUGES = [
+  { name: 'pcmon_pc_cpu_percent', help: 'Latest CPU usage of the PC', value: pc => pc.cpu },
+  { name: 'pcmon_pc_ram_percent', help: 'Latest RAM usage of the PC', value: pc => pc.ram },
+  { name: 'pcmon_pc_disk_percent', help: 'Latest disk usage of the PC', value: pc => pc.disk },
+  { name: 'pcmon_pc_uptime_seconds', help: 'PC uptime reported with the latest sample', value: pc => pc.uptime },
+  {
+    name: 'pcmon_pc_last_seen_timestamp_seconds',
+    help: 'Unix time of the latest sample from the PC',
+    value: pc => (pc.lastSeen ? new Date(pc.lastSeen).getTime() / 1000 : null)
+  }
+];
+
+let cache = { at: 0, pcs: null };
+let pending = null;
+
+/**
+ * Latest sample per PC with status fields, shared by scrapes within CACHE_TTL_MS
+ */
+async function getFleet() {
+  if (cache.pcs && Date.now() - cache.at < CACHE_TTL_MS) return cache.pcs;
+
+  // Concurrent scrapes share one query
+  if (!pending) {
+    pending = presence.getLatestData()
+      .then(presence.withStatus)
+      .then(pcs => {
+        cache = { at: Date.now(), pcs };
+        return pcs;
+      })
+      .finally(() => { pending = null; });
+  }
+
+  return pending;
+}
+
+function renderFleet(pcs) {
+  return FLEET_GAUGES.map(gauge => {
+    let text = header(gauge.name, 'gauge', gauge.help);
+    for (const pc of pcs) {
+      const value = gauge.value(pc);
+      if (value == null) continue;
+      text += `${gauge.name}${formatLabels({ pcId: pc.pcId, os: pc.os })} ${value}\n`;
+    }
+    return text;
+  }).join('');
+}
+
+/**
+ * Full exposition in the Prometheus text format (version 0.0.4)
+ */
+async function render() {
+  const pcs = await getFleet();
+
+  return [
+    renderFleet(pcs),
+    samplesIngested.render(),
+    samplesRejected.render(),
+    requestDuration.render()
+  ].join('');
+}
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  samplesIngested,
+  samplesRejected,
+  requestTimer,
+  render
+};
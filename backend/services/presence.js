@@ -0,0 +1,181 @@
+const Device = require('../models/Device');
+const SystemInfo = require('../models/SystemInfo');
+const MetricRollup = require('../models/MetricRollup');
+const bus = require('./events');
+
+// Status thresholds, in multiples of the PC's reporting interval:
+// online up to STALE_AFTER intervals since the last sample, stale up to
+// OFFLINE_AFTER intervals, offline beyond that
+const STALE_AFTER_INTERVALS = parseFloat(process.env.STALE_AFTER_INTERVALS) || 2;
+const OFFLINE_AFTER_INTERVALS = parseFloat(process.env.OFFLINE_AFTER_INTERVALS) || 5;
+
+// Assumed reporting interval for agents that don't report one
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+// How often the status sweep runs
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+let timer = null;
+
+/**
+ * Work out a PC's status from its last sample time and reporting interval
+ * @returns {'online'|'stale'|'offline'}
+ */
+function computeStatus(lastSeen, reportInterval, now = Date.now()) {
+  if (!lastSeen) return 'offline';
+
+  const intervalMs = (reportInterval || DEFAULT_INTERVAL_SECONDS) * 1000;
+  const age = now - new Date(lastSeen).getTime();
+
+  if (age <= intervalMs * STALE_AFTER_INTERVALS) return 'online';
+  if (age <= intervalMs * OFFLINE_AFTER_INTERVALS) return 'stale';
+  return 'offline';
+}
+
+/**
+ * Record newly stored samples: bump lastSeen / reportInterval and bring PCs back online
+ * Emits 'pc-status' when a stale or offline PC reports a recent sample again
+ */
+async function recordSamples(samples) {
+  const latestByPc = new Map();
+  for (const sample of samples) {
+    const current = latestByPc.get(sample.pcId);
+    if (!current || sample.measuredAt > current.measuredAt) latestByPc.set(sample.pcId, sample);
+  }
+
+  for (const [pcId, sample] of latestByPc) {
+    const update = { $max: { lastSeen: sample.measuredAt } };
+
+    // Old backfilled / imported samples update lastSeen but don't prove the PC is up
+    if (computeStatus(sample.measuredAt, sample.interval) === 'online') {
+      update.$set = { status: 'online' };
+      if (sample.interval) update.$set.reportInterval = sample.interval;
+    }
+
+    const previous = await Device.findOneAndUpdate({ pcId }, update, { upsert: true, setDefaultsOnInsert: true });
+
+    if (update.$set && previous && previous.status !== 'online' && previous.lastSeen) {
+      bus.emit('pc-status', { pcId, status: 'online', previous: previous.status, lastSeen: sample.measuredAt });
+    }
+  }
+}
+
+/**
+ * Move PCs that stopped reporting to stale / offline
+ */
+async function sweep() {
+  const devices = await Device.find({ status: { $ne: 'offline' }, lastSeen: { $ne: null } });
+
+  for (const device of devices) {
+    const status = computeStatus(device.lastSeen, device.reportInterval);
+    if (status === device.status) continue;
+
+    // Conditional update so a sample arriving meanwhile wins
+    const result = await Device.updateOne(
+      { _id: device._id, status: device.status, lastSeen: device.lastSeen },
+      { $set: { status } }
+    );
+
+    if (result.modifiedCount > 0) {
+      bus.emit('pc-status', { pcId: device.pcId, status, previous: device.status, lastSeen: device.lastSeen });
+    }
+  }
+}
+
+const round = value => (value == null ? value : Math.round(value * 100) / 100);
+
+/**
+ * Latest data of every known PC (one record per PC)
+ * The list comes from the device records left-joined with the latest raw sample,
+ * so PCs that stopped reporting stay listed (as offline) after their samples expire.
+ * Their record holds the last known cpu / ram / disk (averages of the newest hourly
+ * rollup) with measuredAt set to lastSeen. PCs with samples but no device record
+ * are listed too.
+ * @param {string|Object} [pcIdFilter] - Restrict to these PCs (see Device.buildPcIdFilter)
+ */
+async function getLatestData(pcIdFilter) {
+  const deviceMatch = { lastSeen: { $ne: null } };
+  if (pcIdFilter) deviceMatch.pcId = pcIdFilter;
+
+  const [samples, devices] = await Promise.all([
+    SystemInfo.getLatestData(pcIdFilter),
+    Device.find(deviceMatch, { pcId: 1, lastSeen: 1, reportInterval: 1, inventory: 1 }).lean()
+  ]);
+
+  const sampled = new Set(samples.map(sample => sample.pcId));
+  const expired = devices.filter(device => !sampled.has(device.pcId));
+  if (expired.length === 0) return samples;
+
+  const buckets = await MetricRollup.aggregate([
+    { $match: { resolution: '1h', pcId: { $in: expired.map(device => device.pcId) } } },
+    { $sort: { pcId: 1, bucketStart: -1 } },
+    { $group: { _id: '$pcId', bucket: { $first: '$$ROOT' } } }
+  ]);
+  const bucketByPc = new Map(buckets.map(({ _id, bucket }) => [_id, bucket]));
+
+  const lastKnown = expired.map(device => {
+    const bucket = bucketByPc.get(device.pcId) || {};
+    const os = device.inventory?.os;
+
+    return {
+      pcId: device.pcId,
+      ...Object.fromEntries(MetricRollup.METRICS.map(metric => [metric, round(bucket[metric]?.avg) ?? null])),
+      os: os ? [os.distro, os.release, os.arch].filter(Boolean).join(' ') : 'Unknown OS',
+      uptime: null,
+      interval: device.reportInterval || undefined,
+      measuredAt: device.lastSeen
+    };
+  });
+
+  return [...samples, ...lastKnown].sort((a, b) => a.pcId.localeCompare(b.pcId));
+}
+
+/**
+ * Add live status fields to per-PC records (e.g. latest samples)
+ * Each record gets { status, lastSeen, reportInterval } computed from its Device
+ */
+async function withStatus(records) {
+  const pcIds = records.map(record => record.pcId);
+  const devices = await Device.find({ pcId: { $in: pcIds } }, { pcId: 1, lastSeen: 1, reportInterval: 1 }).lean();
+  const byPcId = new Map(devices.map(device => [device.pcId, device]));
+  const now = Date.now();
+
+  return records.map(record => {
+    const plain = typeof record.toObject === 'function' ? record.toObject() : record;
+    const device = byPcId.get(record.pcId) || {};
+    const lastSeen = device.lastSeen || record.measuredAt || null;
+    const reportInterval = device.reportInterval || record.interval || null;
+
+    return {
+      ...plain,
+      status: computeStatus(lastSeen, reportInterval, now),
+      lastSeen,
+      reportInterval: reportInterval || DEFAULT_INTERVAL_SECONDS
+    };
+  });
+}
+
+/**
+ * Start the periodic status sweep
+ */
+function start() {
+  if (timer) return;
+  timer = setInterval(() => {
+    sweep().catch(error => console.error('Error checking PC presence:', error));
+  }, CHECK_INTERVAL_MS);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  computeStatus,
+  recordSamples,
+  getLatestData,
+  sweep,
+  withStatus,
+  start,
+  stop
+};
@@ -0,0 +1,211 @@
+const SystemInfo = require('../models/SystemInfo');
+const MetricRollup = require('../models/MetricRollup');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How often new raw samples are folded into the rollup tiers
+const ROLLUP_INTERVAL_MS = 60 * 1000;
+
+// Samples stored in the last minute are left for the next run, so a slow insert
+// with an earlier createdAt is not skipped
+const INGEST_LAG_MS = 60 * 1000;
+
+// Resolutions in order of preference: the finest one that still holds the whole
+// range and keeps the point count reasonable (raw: ~1440 points/day at 60s intervals)
+const TIERS = [
+  { resolution: 'raw', retentionHours: SystemInfo.RAW_RETENTION_HOURS, maxRangeHours: 24 },
+  { resolution: '5m', retentionHours: MetricRollup.RESOLUTIONS['5m'].retentionMs / HOUR_MS, maxRangeHours: 7 * 24 },
+  { resolution: '1h', retentionHours: MetricRollup.RESOLUTIONS['1h'].retentionMs / HOUR_MS, maxRangeHours: Infinity }
+];
+
+const RESOLUTION_NAMES = TIERS.map(tier => tier.resolution);
+
+// Longest range any tier can answer
+const MAX_HISTORY_HOURS = Math.max(...TIERS.map(tier => tier.retentionHours));
+
+// Per-tier createdAt up to which samples have been folded in
+const watermarks = {};
+
+let timer = null;
+let running = false;
+
+/**
+ * Aggregation that folds raw samples stored in [since, until) into one tier
+ * Buckets already present are merged (count, sum, min, max), so samples
+ * replayed late by agents land in their original buckets. Samples with a local
+ * sampling summary contribute its min / max, so spikes between reports survive
+ */
+function rollupPipeline(resolution, since, until) {
+  const { bucketMs, retentionMs } = MetricRollup.RESOLUTIONS[resolution];
+  const time = { $toLong: '$measuredAt' };
+
+  const group = {
+    _id: {
+      pcId: '$pcId',
+      bucketStart: { $toDate: { $subtract: [time, { $mod: [time, bucketMs] }] } }
+    },
+    count: { $sum: 1 },
+    lastIngestedAt: { $max: '$createdAt' }
+  };
+  const project = {
+    _id: 0,
+    resolution: { $literal: resolution },
+    pcId: '$_id.pcId',
+    bucketStart: '$_id.bucketStart',
+    count: 1,
+    lastIngestedAt: 1,
+    expiresAt: { $add: ['$_id.bucketStart', retentionMs] }
+  };
+  const merge = {
+    count: { $add: ['$count', '$$new.count'] },
+    lastIngestedAt: { $max: ['$lastIngestedAt', '$$new.lastIngestedAt'] }
+  };
+
+  for (const metric of MetricRollup.METRICS) {
+    const summarized = SystemInfo.SUMMARY_METRICS.includes(metric);
+    group[`${metric}Min`] = { $min: summarized ? { $ifNull: [`$summary.${metric}.min`, `$${metric}`] } : `$${metric}` };
+    group[`${metric}Max`] = { $max: summarized ? { $ifNull: [`$summary.${metric}.max`, `$${metric}`] } : `$${metric}` };
+    group[`${metric}Sum`] = { $sum: `$${metric}` };
+
+    project[metric] = {
+      min: `$${metric}Min`,
+      avg: { $divide: [`$${metric}Sum`, '$count'] },
+      max: `$${metric}Max`,
+      sum: `$${metric}Sum`
+    };
+
+    merge[metric] = {
+      min: { $min: [`$${metric}.min`, `$$new.${metric}.min`] },
+      avg: {
+        $divide: [
+          { $add: [`$${metric}.sum`, `$$new.${metric}.sum`] },
+          { $add: ['$count', '$$new.count'] }
+        ]
+      },
+      max: { $max: [`$${metric}.max`, `$$new.${metric}.max`] },
+      sum: { $add: [`$${metric}.sum`, `$$new.${metric}.sum`] }
+    };
+  }
+
+  return [
+    { $match: { createdAt: { $gte: since, $lt: until } } },
+    { $group: group },
+    { $project: project },
+    {
+      $merge: {
+        into: MetricRollup.collection.name,
+        on: ['resolution', 'pcId', 'bucketStart'],
+        whenMatched: [{ $set: merge }],
+        whenNotMatched: 'insert'
+      }
+    }
+  ];
+}
+
+/**
+ * Where a tier left off: the newest folded sample, or everything still in raw storage
+ */
+async function loadWatermark(resolution) {
+  const latest = await MetricRollup.findOne({ resolution }, { lastIngestedAt: 1 }).sort({ lastIngestedAt: -1 });
+  return latest && latest.lastIngestedAt
+    ? new Date(latest.lastIngestedAt.getTime() + 1)
+    : new Date(0);
+}
+
+/**
+ * Fold samples stored since the last run into every rollup tier
+ */
+async function run() {
+  if (running) return;
+  running = true;
+
+  try {
+    const until = new Date(Date.now() - INGEST_LAG_MS);
+
+    for (const resolution of Object.keys(MetricRollup.RESOLUTIONS)) {
+      if (!watermarks[resolution]) watermarks[resolution] = await loadWatermark(resolution);
+
+      const since = watermarks[resolution];
+      if (since >= until) continue;
+
+      await SystemInfo.aggregate(rollupPipeline(resolution, since, until));
+      watermarks[resolution] = until;
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Pick the resolution for a history range of `hours` reaching `hoursBack` into the
+ * past (a range ending now by default)
+ * @returns {'raw'|'5m'|'1h'}
+ */
+function pickResolution(hours, hoursBack = hours) {
+  const tier = TIERS.find(t => hoursBack <= t.retentionHours && hours <= t.maxRangeHours);
+  return tier ? tier.resolution : TIERS[TIERS.length - 1].resolution;
+}
+
+const round = value => (value == null ? value : Math.round(value * 100) / 100);
+
+// Shape a rollup bucket like a sample (averages as the metric values) plus min / max
+function toPoint(bucket) {
+  const point = {
+    pcId: bucket.pcId,
+    measuredAt: bucket.bucketStart,
+    count: bucket.count,
+    min: {},
+    max: {}
+  };
+
+  for (const metric of MetricRollup.METRICS) {
+    const stats = bucket[metric] || {};
+    point[metric] = round(stats.avg);
+    point.min[metric] = stats.min;
+    point.max[metric] = stats.max;
+  }
+
+  return point;
+}
+
+/**
+ * History of one PC over the `hours` before `until` (default: the last `hours`)
+ * @param {string} [resolution] - Force a tier; picked from the range when omitted
+ * @param {Date} [until] - End of the range
+ * @returns {Promise<{ resolution: string, points: Array }>}
+ */
+async function getHistory(pcId, hours, resolution = pickResolution(hours), until = null) {
+  if (resolution === 'raw') {
+    return { resolution, points: await SystemInfo.getHistoricalData(pcId, hours, until) };
+  }
+
+  const buckets = await MetricRollup.getHistoricalData(pcId, resolution, hours, until).lean();
+  return { resolution, points: buckets.map(toPoint) };
+}
+
+/**
+ * Start the periodic rollup job (runs once right away to catch up)
+ */
+function start() {
+  if (timer) return;
+
+  const tick = () => run().catch(error => console.error('Error rolling up samples:', error));
+  tick();
+  timer = setInterval(tick, ROLLUP_INTERVAL_MS);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  RESOLUTION_NAMES,
+  MAX_HISTORY_HOURS,
+  rollupPipeline,
+  run,
+  pickResolution,
+  getHistory,
+  start,
+  stop
+};
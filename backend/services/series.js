@@ -0,0 +1,210 @@
+const SystemInfo = require('../models/SystemInfo');
+const MetricRollup = require('../models/MetricRollup');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Smallest bucket and most buckets one request may ask for
+const MIN_BUCKET_SECONDS = 60;
+const MAX_BUCKETS = 1000;
+
+// Bucket sizes picked when the caller gives none, aiming at ~48 points per range
+const NICE_BUCKETS_SECONDS = [60, 300, 900, 1800, 3600, 3 * 3600, 6 * 3600, 12 * 3600, 24 * 3600];
+const TARGET_POINTS = 48;
+
+// Most PCs one comparison may overlay
+const MAX_COMPARE_PCS = 12;
+
+/**
+ * Default bucket size for a range: the smallest "nice" size giving at most targetPoints buckets
+ */
+function defaultBucketSeconds(hours, targetPoints = TARGET_POINTS) {
+  const wanted = (hours * 3600) / targetPoints;
+  return NICE_BUCKETS_SECONDS.find(size => size >= wanted) || NICE_BUCKETS_SECONDS[NICE_BUCKETS_SECONDS.length - 1];
+}
+
+/**
+ * Pick the data source: raw samples while they cover the range, otherwise the
+ * finest rollup tier that covers it and is no coarser than the bucket (if any)
+ * @returns {'raw'|'5m'|'1h'|null} null when no source can answer
+ */
+function pickSource(hours, bucketSeconds = Infinity) {
+  if (hours <= SystemInfo.RAW_RETENTION_HOURS) return 'raw';
+
+  for (const [resolution, { bucketMs, retentionMs }] of Object.entries(MetricRollup.RESOLUTIONS)) {
+    if (hours * HOUR_MS <= retentionMs && bucketSeconds * 1000 >= bucketMs) return resolution;
+  }
+  return null;
+}
+
+// Nearest-rank percentile of an unsorted list
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+const round = value => (value == null ? null : Math.round(value * 100) / 100);
+
+// Bucket key expression: start of the bucket a date field falls into
+const bucketExpression = (field, bucketMs) => {
+  const time = { $toLong: field };
+  return { $toDate: { $subtract: [time, { $mod: [time, bucketMs] }] } };
+};
+
+/**
+ * Raw samples: avg / min / max straight from the samples, p95 over all sample values
+ */
+async function rawBuckets(from, bucketMs, pcIdFilter) {
+  const match = { measuredAt: { $gte: from } };
+  if (pcIdFilter) match.pcId = pcIdFilter;
+
+  const group = { _id: bucketExpression('$measuredAt', bucketMs), pcs: { $addToSet: '$pcId' } };
+  for (const metric of MetricRollup.METRICS) {
+    group[`${metric}Avg`] = { $avg: `$${metric}` };
+    group[`${metric}Min`] = { $min: `$${metric}` };
+    group[`${metric}Max`] = { $max: `$${metric}` };
+    group[`${metric}Values`] = { $push: `$${metric}` }; // for p95
+  }
+
+  const buckets = await SystemInfo.aggregate([{ $match: match }, { $group: group }]).allowDiskUse(true);
+
+  return buckets.map(bucket => {
+    const point = { time: bucket._id, pcs: bucket.pcs.length };
+    for (const metric of MetricRollup.METRICS) {
+      point[metric] = {
+        avg: round(bucket[`${metric}Avg`]),
+        min: bucket[`${metric}Min`],
+        max: bucket[`${metric}Max`],
+        p95: percentile(bucket[`${metric}Values`], 0.95)
+      };
+    }
+    return point;
+  });
+}
+
+/**
+ * Rollups: sample-weighted avg, min of minimums, max of maximums,
+ * p95 over the per-PC rollup averages (individual samples are gone)
+ */
+async function rollupBuckets(resolution, from, bucketMs, pcIdFilter) {
+  const match = { resolution, bucketStart: { $gte: from } };
+  if (pcIdFilter) match.pcId = pcIdFilter;
+
+  const group = {
+    _id: bucketExpression('$bucketStart', bucketMs),
+    pcs: { $addToSet: '$pcId' },
+    count: { $sum: '$count' }
+  };
+  for (const metric of MetricRollup.METRICS) {
+    group[`${metric}Sum`] = { $sum: `$${metric}.sum` };
+    group[`${metric}Min`] = { $min: `$${metric}.min` };
+    group[`${metric}Max`] = { $max: `$${metric}.max` };
+    group[`${metric}Avgs`] = { $push: `$${metric}.avg` };
+  }
+
+  const buckets = await MetricRollup.aggregate([{ $match: match }, { $group: group }]).allowDiskUse(true);
+
+  return buckets.map(bucket => {
+    const point = { time: bucket._id, pcs: bucket.pcs.length };
+    for (const metric of MetricRollup.METRICS) {
+      point[metric] = {
+        avg: round(bucket[`${metric}Sum`] / bucket.count),
+        min: bucket[`${metric}Min`],
+        max: bucket[`${metric}Max`],
+        p95: round(percentile(bucket[`${metric}Avgs`], 0.95))
+      };
+    }
+    return point;
+  });
+}
+
+/**
+ * Fleet-wide cpu / ram / disk series over the last `hours`, bucketed every `bucketSeconds`
+ * Every bucket in the range is returned; buckets without data have null stats and pcs: 0
+ * @param {Object} options
+ * @param {number} options.hours - Range
+ * @param {number} options.bucketSeconds - Bucket size
+ * @param {string|Object} [options.pcIdFilter] - Restrict to these PCs (see Device.buildPcIdFilter)
+ * @param {string} options.source - raw | 5m | 1h (see pickSource)
+ */
+async function getFleetSeries({ hours, bucketSeconds, pcIdFilter, source }) {
+  const bucketMs = bucketSeconds * 1000;
+  const to = Date.now();
+  const from = new Date(Math.floor((to - hours * HOUR_MS) / bucketMs) * bucketMs);
+
+  const buckets = source === 'raw'
+    ? await rawBuckets(from, bucketMs, pcIdFilter)
+    : await rollupBuckets(source, from, bucketMs, pcIdFilter);
+
+  const byTime = new Map(buckets.map(bucket => [bucket.time.getTime(), bucket]));
+  const empty = Object.fromEntries(MetricRollup.METRICS.map(metric => [metric, { avg: null, min: null, max: null, p95: null }]));
+  const points = [];
+
+  for (let time = from.getTime(); time <= to; time += bucketMs) {
+    points.push(byTime.get(time) || { time: new Date(time), pcs: 0, ...empty });
+  }
+
+  return { source, bucket: bucketSeconds, from, to: new Date(to), points };
+}
+
+/**
+ * One metric of several PCs on a shared time grid, for overlaying them on one chart
+ * Each point holds the bucket average per PC: { time, values: { [pcId]: avg|null } }
+ * @param {Object} options
+ * @param {string[]} options.pcIds - PCs to compare
+ * @param {string} options.metric - cpu | ram | disk
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {number} options.bucketSeconds - Bucket size
+ * @param {string} options.source - raw | 5m | 1h (see pickSource)
+ */
+async function getComparison({ pcIds, metric, from, to, bucketSeconds, source }) {
+  const bucketMs = bucketSeconds * 1000;
+  const start = new Date(Math.floor(from.getTime() / bucketMs) * bucketMs);
+
+  const buckets = source === 'raw'
+    ? await SystemInfo.aggregate([
+      { $match: { pcId: { $in: pcIds }, measuredAt: { $gte: start, $lte: to } } },
+      { $group: { _id: { pcId: '$pcId', time: bucketExpression('$measuredAt', bucketMs) }, value: { $avg: `$${metric}` } } }
+    ]).allowDiskUse(true)
+    : await MetricRollup.aggregate([
+      { $match: { resolution: source, pcId: { $in: pcIds }, bucketStart: { $gte: start, $lte: to } } },
+      {
+        $group: {
+          _id: { pcId: '$pcId', time: bucketExpression('$bucketStart', bucketMs) },
+          sum: { $sum: `$${metric}.sum` },
+          count: { $sum: '$count' }
+        }
+      },
+      { $project: { value: { $cond: [{ $gt: ['$count', 0] }, { $divide: ['$sum', '$count'] }, null] } } }
+    ]).allowDiskUse(true);
+
+  const byTime = new Map();
+  for (const bucket of buckets) {
+    const time = bucket._id.time.getTime();
+    if (!byTime.has(time)) byTime.set(time, {});
+    byTime.get(time)[bucket._id.pcId] = round(bucket.value);
+  }
+
+  const points = [];
+  for (let time = start.getTime(); time <= to.getTime(); time += bucketMs) {
+    const found = byTime.get(time) || {};
+    points.push({
+      time: new Date(time),
+      values: Object.fromEntries(pcIds.map(pcId => [pcId, found[pcId] ?? null]))
+    });
+  }
+
+  return { source, bucket: bucketSeconds, metric, from: start, to, pcIds, points };
+}
+
+module.exports = {
+  MIN_BUCKET_SECONDS,
+  MAX_BUCKETS,
+  MAX_COMPARE_PCS,
+  bucketExpression,
+  defaultBucketSeconds,
+  pickSource,
+  getFleetSeries,
+  getComparison
+};
@@ -0,0 +1,215 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const bus = require('./events');
+
+// First retry delay; doubles with every failed attempt
+const RETRY_BASE_MS = (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// How often the retry queue is scanned, and how many deliveries run at once
+const POLL_INTERVAL_MS = 5000;
+const CONCURRENCY = 10;
+
+let timer = null;
+let processing = false;
+
+/**
+ * Resolve a dotted path ("rule.name") in the template context
+ */
+function lookup(context, path) {
+  const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), context);
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Build the request body for an event
+ * Without a template: { event, timestamp, data }. With a template, every
+ * "{{path}}" placeholder is filled from { event, timestamp, ...data }; a string
+ * that is exactly one placeholder keeps the value's JSON type.
+ */
+function renderPayload(template, event, timestamp, data) {
+  if (!template) return { event, timestamp, data };
+
+  const context = { event, timestamp, ...data, data };
+  const placeholder = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+  const fill = (node) => {
+    if (typeof node === 'string') {
+      const whole = node.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+      if (whole) {
+        const value = lookup(context, whole[1]);
+        return value === undefined ? null : value;
+      }
+      return node.replace(placeholder, (match, path) => {
+        const value = lookup(context, path);
+        return value == null ? '' : String(value);
+      });
+    }
+    if (Array.isArray(node)) return node.map(fill);
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fill(value)]));
+    }
+    return node;
+  };
+
+  return fill(JSON.parse(template));
+}
+
+/**
+ * Queue deliveries of an event to the given webhooks and kick the worker
+ */
+async function enqueue(webhooks, event, data) {
+  if (webhooks.length === 0) return [];
+
+  const timestamp = new Date().toISOString();
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhookId: webhook._id,
+    event,
+    payload: renderPayload(webhook.template, event, timestamp, data)
+  })));
+
+  processDue().catch(error => console.error('Error processing webhook deliveries:', error));
+  return deliveries;
+}
+
+/**
+ * Queue an event for every enabled webhook subscribed to it
+ */
+async function dispatch(event, data) {
+  const webhooks = await Webhook.find({ enabled: true, events: event });
+  return enqueue(webhooks, event, data);
+}
+
+/**
+ * Queue a test delivery for one webhook
+ */
+async function sendTest(webhook) {
+  const [delivery] = await enqueue([webhook], 'test', {
+    message: 'Test notification from Multi-PC System Monitoring',
+    pcId: 'test-pc'
+  });
+  return delivery;
+}
+
+/**
+ * Make one delivery attempt and record the outcome
+ */
+async function attempt(delivery) {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Webhook no longer exists';
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const headers = {
+    ...Object.fromEntries(webhook.headers || []),
+    'Content-Type': 'application/json',
+    'User-Agent': 'Multi-PC-Monitoring-Webhooks/1.0.0',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': String(delivery._id)
+  };
+
+  if (webhook.secret) {
+    headers['X-Webhook-Signature'] = 'sha256=' + crypto.createHmac('sha256', webhook.secret).update(body).digest('hex');
+  }
+
+  delivery.attempts += 1;
+
+  try {
+    const response = await axios.post(webhook.url, body, { headers, timeout: REQUEST_TIMEOUT_MS });
+
+    delivery.status = 'success';
+    delivery.responseStatus = response.status;
+    delivery.lastError = null;
+    delivery.deliveredAt = new Date();
+
+  } catch (error) {
+    delivery.responseStatus = error.response ? error.response.status : null;
+    delivery.lastError = error.message;
+
+    if (delivery.attempts >= webhook.maxAttempts) {
+      delivery.status = 'failed';
+      console.error(`Webhook ${webhook.name} delivery ${delivery._id} failed after ${delivery.attempts} attempts: ${error.message}`);
+    } else {
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (delivery.attempts - 1), MAX_RETRY_DELAY_MS);
+      delivery.nextAttemptAt = new Date(Date.now() + delay);
+    }
+  }
+
+  return delivery.save();
+}
+
+/**
+ * Attempt every delivery that is due, until none are left
+ */
+async function processDue() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    for (;;) {
+      const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(CONCURRENCY);
+
+      if (due.length === 0) break;
+      await Promise.all(due.map(attempt));
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Subscribe to alert / PC status events and start the retry worker
+ */
+function start() {
+  if (timer) return;
+
+  bus.on('alert', (alertEvent) => {
+    dispatch(`alert.${alertEvent.to}`, {
+      pcId: alertEvent.pcId,
+      ruleId: alertEvent.ruleId,
+      ruleName: alertEvent.ruleName,
+      metric: alertEvent.metric,
+      operator: alertEvent.operator,
+      threshold: alertEvent.threshold,
+      severity: alertEvent.severity,
+      value: alertEvent.value,
+      from: alertEvent.from,
+      to: alertEvent.to,
+      at: alertEvent.at
+    }).catch(error => console.error('Error dispatching alert webhook:', error));
+  });
+
+  bus.on('pc-status', (change) => {
+    // "online" means back from offline; recovering from a short stale gap is not news
+    if (change.status === 'online' && change.previous !== 'offline') return;
+
+    dispatch(`pc.${change.status}`, change)
+      .catch(error => console.error('Error dispatching PC status webhook:', error));
+  });
+
+  timer = setInterval(() => {
+    processDue().catch(error => console.error('Error processing webhook deliveries:', error));
+  }, POLL_INTERVAL_MS);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  renderPayload,
+  dispatch,
+  sendTest,
+  start,
+  stop
+};
@@ -1,75 +1,367 @@
 const si = require('systeminformation');
 const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OfflineQueue = require('./offlineQueue');
+const PluginRunner = require('./plugins');
+const LocalSampler = require('./sampler');
+const { loadConfig, takeConfigFlag } = require('./config');
+const { version: AGENT_VERSION } = require('./package.json');
 require('dotenv').config();
 
 // Wake up backend before starting main client logic
-axios.get('https://pc-monitoring-backend-yctj.onrender.com/api/systemdata/health')
-  .then(() => console.log("✅ Backend warmed up and ready"))
-  .catch(() => console.log("⚠️ Backend wake-up ping failed, continuing..."));
-
+function warmUpBackend() {
+  axios.get('https://pc-monitoring-backend-yctj.onrender.com/api/systemdata/health')
+    .then(() => console.log("✅ Backend warmed up and ready"))
+    .catch(() => console.log("⚠️ Backend wake-up ping failed, continuing..."));
+}
 
 /**
  * Multi-PC System Monitoring Client
  * 
- * Monitors CPU, RAM, Disk, OS, and sends data to backend every 60 seconds.
+ * Monitors CPU (total and per core), RAM, swap, load average, every mounted
+ * filesystem and network interface throughput, and sends data to backend every 60 seconds.
+ * CPU and RAM are read every 5 seconds in between and reported as min / avg / max / last.
  */
 
-// Configuration
-const CONFIG = {
-  SERVER_URL: process.env.SERVER_URL || 'http://localhost:5000/api/systemdata',
-  COLLECTION_INTERVAL: parseInt(process.env.COLLECTION_INTERVAL) || 60000,
-  MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || 3,
-  RETRY_DELAY: parseInt(process.env.RETRY_DELAY) || 5000,
-  PC_ID: process.env.PC_ID || require('os').hostname(),
-  VERBOSE: process.env.VERBOSE === 'true' || false,
-  MAX_OFFLINE_TIME: parseInt(process.env.MAX_OFFLINE_TIME) || 300000, // 5 minutes
-};
+// Configuration: defaults, then the config file (--config <file>, CONFIG_FILE or
+// agent.yaml / agent.yml / agent.json next to this script), then the environment
+const configFlag = takeConfigFlag(process.argv.slice(2));
+const loadedConfig = loadConfig(configFlag.file || process.env.CONFIG_FILE || null);
+const configErrors = configFlag.error ? [configFlag.error, ...loadedConfig.errors] : loadedConfig.errors;
+
+const CONFIG = { ...loadedConfig.config, COLLECTORS: new Set(loadedConfig.config.COLLECTORS) };
+
+// Local values (file and environment), restored when the central config stops setting them
+const LOCAL_CONFIG = { ...CONFIG, COLLECTORS: new Set(CONFIG.COLLECTORS) };
+
+// Name of the generated systemd service
+const SERVICE_NAME = 'pc-monitoring-agent';
 
 // Global state
 let isRunning = false;
 let retryCount = 0;
 let lastSuccessfulSend = Date.now();
-let systemInfo = null;
+let agentKey = null;
+let offlineQueue = null;
+let plugins = null;
+let sampler = null; // local high-frequency sampling (run mode only)
+let flushing = null; // running queue replay (promise), so replays never overlap
+let inventoryReported = false;
+let configVersion = null; // version of the central config in effect
+let logToStderr = false; // --print keeps stdout for the sample
 
 // Logging utility
 function log(level, message, data = null) {
   const timestamp = new Date().toISOString();
   const prefix = `[${timestamp}] [${level.toUpperCase()}]`;
+  const write = logToStderr ? console.error : console.log;
   
   if (CONFIG.VERBOSE || level === 'error' || level === 'warn') {
-    console.log(`${prefix} ${message}`);
-    if (data) console.log(JSON.stringify(data, null, 2));
+    write(`${prefix} ${message}`);
+    if (data) write(JSON.stringify(data, null, 2));
+  }
+}
+
+// Build a URL for another endpoint under the same /api prefix as SERVER_URL
+function apiUrl(endpoint) {
+  return CONFIG.SERVER_URL.replace(/\/systemdata\/?$/, '') + endpoint;
+}
+
+// Headers sent with every request to the backend
+function requestHeaders() {
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': `Multi-PC-Monitoring-Client/${AGENT_VERSION}` };
+  if (agentKey) headers['X-API-Key'] = agentKey;
+  return headers;
+}
+
+// Agent key from AGENT_KEY or the key file, with where it came from; null when neither has one
+function readAgentKey() {
+  if (CONFIG.AGENT_KEY) return { key: CONFIG.AGENT_KEY, source: 'AGENT_KEY' };
+
+  try {
+    const stored = fs.readFileSync(CONFIG.AGENT_KEY_FILE, 'utf8').trim();
+    if (stored) return { key: stored, source: CONFIG.AGENT_KEY_FILE };
+  } catch (error) {
+    if (error.code !== 'ENOENT') log('warn', 'Could not read agent key file', { file: CONFIG.AGENT_KEY_FILE, error: error.message });
+  }
+
+  return null;
+}
+
+// Resolve the agent key: AGENT_KEY env, then the key file, then self-enrollment
+async function loadAgentKey() {
+  const stored = readAgentKey();
+  if (stored) return stored.key;
+
+  if (!CONFIG.ENROLLMENT_TOKEN) {
+    log('warn', 'No AGENT_KEY, key file or ENROLLMENT_TOKEN configured; the server will reject data');
+    return null;
+  }
+
+  log('info', 'Enrolling agent with server...', { pcId: CONFIG.PC_ID });
+  const response = await axios.post(apiUrl('/agents/enroll'), {
+    pcId: CONFIG.PC_ID,
+    enrollmentToken: CONFIG.ENROLLMENT_TOKEN
+  }, { timeout: 40000, headers: requestHeaders() });
+
+  const key = response.data.data.key;
+  fs.writeFileSync(CONFIG.AGENT_KEY_FILE, key + '\n', { mode: 0o600 });
+  log('info', 'Agent enrolled, key saved', { file: CONFIG.AGENT_KEY_FILE, prefix: response.data.data.prefix });
+  return key;
+}
+
+// Problems with the settings: everything that failed the schema (see config.js),
+// plus checks the schema can't make
+// @returns {{ errors: string[], warnings: string[] }}
+function validateConfig() {
+  const errors = [...configErrors];
+  const warnings = [];
+
+  if (!/\/systemdata\/?$/.test(new URL(CONFIG.SERVER_URL).pathname)) {
+    warnings.push(`SERVER_URL should end in /api/systemdata, got "${CONFIG.SERVER_URL}"`);
   }
+
+  if (loadedConfig.sources.PLUGINS_DIR !== 'default' && !fs.existsSync(CONFIG.PLUGINS_DIR)) {
+    warnings.push(`PLUGINS_DIR does not exist: ${CONFIG.PLUGINS_DIR}`);
+  }
+
+  if (!readAgentKey() && !CONFIG.ENROLLMENT_TOKEN) {
+    errors.push('No AGENT_KEY, key file or ENROLLMENT_TOKEN configured; the server will reject data');
+  }
+
+  return { errors, warnings };
 }
 
+// Log the problems with the settings; settings that failed the schema stop the client
+function assertValidConfig() {
+  const { errors, warnings } = validateConfig();
+  errors.forEach(message => log('error', `Config: ${message}`));
+  warnings.forEach(message => log('warn', `Config: ${message}`));
+
+  if (configErrors.length > 0) {
+    throw new Error('Invalid configuration, fix the settings above (node client.js --dry-run checks them)');
+  }
+}
+
+// Apply the central config from the backend ({ version, settings }) without a restart
+// Settings it leaves out fall back to the local config; the new interval takes
+// effect from the next sample
+function applyRemoteConfig(config) {
+  if (!CONFIG.REMOTE_CONFIG || !config || !config.settings || config.version === configVersion) return;
+
+  const { settings } = config;
+  const collectors = new Set(LOCAL_CONFIG.COLLECTORS);
+  for (const [name, enabled] of Object.entries(settings.collectors || {})) {
+    if (enabled) collectors.add(name);
+    else collectors.delete(name);
+  }
+
+  Object.assign(CONFIG, {
+    COLLECTION_INTERVAL: settings.collectionInterval ?? LOCAL_CONFIG.COLLECTION_INTERVAL,
+    VERBOSE: settings.verbose ?? LOCAL_CONFIG.VERBOSE,
+    TOP_PROCESSES: settings.topProcesses ?? LOCAL_CONFIG.TOP_PROCESSES,
+    MAX_RETRIES: settings.retry?.maxRetries ?? LOCAL_CONFIG.MAX_RETRIES,
+    RETRY_DELAY: settings.retry?.retryDelay ?? LOCAL_CONFIG.RETRY_DELAY,
+    COLLECTORS: collectors
+  });
+  configVersion = config.version;
+
+  log('info', 'Applied central config', {
+    version: configVersion,
+    collectionInterval: CONFIG.COLLECTION_INTERVAL,
+    verbose: CONFIG.VERBOSE,
+    topProcesses: CONFIG.TOP_PROCESSES,
+    maxRetries: CONFIG.MAX_RETRIES,
+    retryDelay: CONFIG.RETRY_DELAY,
+    collectors: [...CONFIG.COLLECTORS]
+  });
+}
+
+// Fetch the central config at startup; later changes arrive with ingest responses
+async function fetchRemoteConfig() {
+  if (!CONFIG.REMOTE_CONFIG || !agentKey) return;
+
+  try {
+    const response = await axios.get(apiUrl('/agents/config'), { timeout: 40000, headers: requestHeaders() });
+    applyRemoteConfig(response.data.data);
+  } catch (error) {
+    log('warn', 'Could not fetch central config, using local settings', { error: error.message, status: error.response?.status });
+  }
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Static hardware / software inventory, reported once per start
+async function getInventory() {
+  const [cpu, mem, diskLayout, osInfo, interfaces] = await Promise.all([
+    si.cpu(),
+    si.mem(),
+    si.diskLayout(),
+    si.osInfo(),
+    si.networkInterfaces()
+  ]);
+
+  return {
+    cpu: {
+      manufacturer: cpu.manufacturer,
+      brand: cpu.brand,
+      cores: cpu.cores,
+      physicalCores: cpu.physicalCores,
+      speed: cpu.speed
+    },
+    totalRam: mem.total,
+    disks: (diskLayout || []).map(d => ({ name: d.name, type: d.type, size: d.size })),
+    os: {
+      platform: osInfo.platform,
+      distro: osInfo.distro,
+      release: osInfo.release,
+      kernel: osInfo.kernel,
+      arch: osInfo.arch,
+      hostname: osInfo.hostname
+    },
+    interfaces: (Array.isArray(interfaces) ? interfaces : [interfaces])
+      .filter(i => !i.internal)
+      .map(i => ({ iface: i.iface, ip4: i.ip4, ip6: i.ip6, mac: i.mac })),
+    agentVersion: AGENT_VERSION
+  };
+}
+
+// Send the inventory; retried after the next successful send when it fails
+async function reportInventory() {
+  try {
+    const inventory = await getInventory();
+    await axios.put(apiUrl(`/devices/${encodeURIComponent(CONFIG.PC_ID)}/inventory`), inventory, {
+      timeout: 40000,
+      headers: requestHeaders()
+    });
+    inventoryReported = true;
+    log('info', 'Inventory reported', { cpu: inventory.cpu.brand, totalRam: inventory.totalRam, agentVersion: AGENT_VERSION });
+  } catch (error) {
+    log('warn', 'Failed to report inventory, will retry', { error: error.message, status: error.response?.status });
+  }
+}
+
+// Top TOP_PROCESSES processes by CPU and by memory (null when disabled or unavailable)
+async function getTopProcesses() {
+  if (CONFIG.TOP_PROCESSES <= 0 || !CONFIG.COLLECTORS.has('processes')) return null;
+
+  try {
+    const { list } = await si.processes();
+    const toEntry = p => ({
+      pid: p.pid,
+      name: p.name,
+      user: p.user,
+      cpu: round2(p.cpu),
+      mem: round2(p.mem),
+      memRss: p.memRss * 1024 // reported in KB
+    });
+    const top = key => [...list].sort((a, b) => b[key] - a[key]).slice(0, CONFIG.TOP_PROCESSES).map(toEntry);
+
+    return { byCpu: top('cpu'), byMem: top('mem') };
+  } catch (error) {
+    log('warn', 'Failed to get process list', { error: error.message });
+    return null;
+  }
+}
+
+// Value of an optional collector, undefined (not sent) when it is disabled
+const collect = (name, get) => (CONFIG.COLLECTORS.has(name) ? get() : undefined);
+
+// Mounts preferred for the headline disk percentage when MAIN_MOUNT is not set
+const MAIN_MOUNTS = ['C:', '/', '/System/Volumes/Data'];
+
+// Configured mounts that were not found are reported once
+let missingMountsReported = false;
+
 // Get system info
 async function getSystemInfo() {
   try {
-    const [cpu, mem, fs, osInfo, time] = await Promise.all([
-      si.currentLoad(),
+    // Min / avg / max / last of the local readings since the previous report; without
+    // them (sampling off, or no reading yet) cpu and ram are a single reading
+    const summary = sampler ? sampler.take() : null;
+
+    const [cpu, mem, fsList, osInfo, time, netStats, topProcesses, custom] = await Promise.all([
+      summary ? sampler.lastLoad : si.currentLoad(),
       si.mem(),
       si.fsSize(),
       si.osInfo(),
-      si.time()
+      si.time(),
+      CONFIG.COLLECTORS.has('network') ? si.networkStats('*') : null,
+      getTopProcesses(),
+      CONFIG.COLLECTORS.has('custom') ? plugins.collect() : null
     ]);
 
+    // Every mounted filesystem with a size (skips pseudo filesystems)
+    const filesystems = (fsList || [])
+      .filter(d => d.size > 0)
+      .map(d => ({
+        mount: d.mount,
+        fs: d.fs,
+        type: d.type,
+        used: d.used,
+        total: d.size,
+        usage: round2((d.used / d.size) * 100)
+      }));
+
+    // Only the MOUNTS, when set, are reported
+    const disks = CONFIG.MOUNTS.length > 0 ? filesystems.filter(d => CONFIG.MOUNTS.includes(d.mount)) : filesystems;
+
+    const wanted = [...CONFIG.MOUNTS, ...(CONFIG.MAIN_MOUNT ? [CONFIG.MAIN_MOUNT] : [])];
+    const missing = wanted.filter(mount => !filesystems.some(d => d.mount === mount));
+    if (missing.length > 0 && !missingMountsReported) {
+      missingMountsReported = true;
+      log('warn', 'Configured mounts not found', { missing, available: filesystems.map(d => d.mount) });
+    }
+
     let diskUsage = 0;
-    if (fs && fs.length > 0) {
-      const mainDisk = fs.find(d => d.mount === 'C:' || d.mount === '/' || d.mount === '/System/Volumes/Data') || fs[0];
-      diskUsage = mainDisk ? ((mainDisk.used / mainDisk.size) * 100) : 0;
+    if (filesystems.length > 0) {
+      const mainDisk = filesystems.find(d => d.mount === CONFIG.MAIN_MOUNT)
+        || filesystems.find(d => MAIN_MOUNTS.includes(d.mount))
+        || disks[0] || filesystems[0];
+      diskUsage = mainDisk.usage;
     }
 
+    // Rates are bytes/second since the previous call (null on the first sample)
+    const network = (netStats || [])
+      .filter(n => n.iface !== 'lo' && !n.iface.startsWith('Loopback'))
+      .map(n => ({
+        iface: n.iface,
+        rxSec: n.rx_sec == null ? null : Math.round(n.rx_sec),
+        txSec: n.tx_sec == null ? null : Math.round(n.tx_sec),
+        rxBytes: n.rx_bytes,
+        txBytes: n.tx_bytes
+      }));
+
     const memUsage = mem ? ((mem.used / mem.total) * 100) : 0;
+    const swap = mem && mem.swaptotal > 0
+      ? { used: mem.swapused, total: mem.swaptotal, usage: round2((mem.swapused / mem.swaptotal) * 100) }
+      : null;
     const uptime = time ? time.uptime : 0;
     const osString = osInfo ? `${osInfo.distro} ${osInfo.release} ${osInfo.arch}` : 'Unknown OS';
 
     return {
       pcId: CONFIG.PC_ID,
-      cpu: Math.round(cpu.currentLoad * 100) / 100,
-      ram: Math.round(memUsage * 100) / 100,
-      disk: Math.round(diskUsage * 100) / 100,
+      measuredAt: new Date().toISOString(),
+      cpu: summary?.cpu ? summary.cpu.avg : round2(cpu.currentLoad),
+      ram: summary?.ram ? summary.ram.avg : round2(memUsage),
+      summary: summary || undefined,
+      disk: round2(diskUsage),
       os: osString,
-      uptime: Math.round(uptime)
+      uptime: Math.round(uptime),
+      interval: Math.round(CONFIG.COLLECTION_INTERVAL / 1000),
+      configVersion,
+      // Extended metrics, each left out when its collector is disabled
+      cpuCores: collect('cpuCores', () => (cpu.cpus || []).map(core => round2(core.load))),
+      disks: collect('disks', () => disks),
+      network: collect('network', () => network),
+      swap: collect('swap', () => swap),
+      // 1 / 5 / 15 minute load average (not available on Windows)
+      loadAvg: collect('loadAvg', () => (process.platform === 'win32' ? null : os.loadavg().map(round2))),
+      topProcesses,
+      // Plugin metrics, { '<plugin>.<metric>': number }
+      custom: custom || undefined
     };
 
   } catch (error) {
@@ -78,31 +370,41 @@ async function getSystemInfo() {
   }
 }
 
-// Send data to server with retries
-async function sendDataToServer(data) {
+// Send a batch of samples to the server with retries
+// Resolves to { status: 'sent' | 'rejected' | 'failed', results } where results
+// is the server's per-sample report (when it answered)
+async function sendDataToServer(samples) {
   const maxRetries = CONFIG.MAX_RETRIES;
   let lastError = null;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      log('info', `Sending data to server (attempt ${attempt}/${maxRetries})`);
-      const response = await axios.post(CONFIG.SERVER_URL, data, {
+      log('info', `Sending ${samples.length} sample(s) to server (attempt ${attempt}/${maxRetries})`);
+      const response = await axios.post(`${CONFIG.SERVER_URL}/batch`, { samples }, {
         timeout: 40000,
-        headers: { 'Content-Type': 'application/json', 'User-Agent': 'Multi-PC-Monitoring-Client/1.0.0' }
+        headers: requestHeaders()
       });
 
       if (response.status === 200 || response.status === 201) {
-        log('info', 'Data sent successfully', { status: response.status, pcId: data.pcId });
+        log('info', 'Data sent successfully', { status: response.status, pcId: CONFIG.PC_ID, accepted: response.data.accepted });
         retryCount = 0;
         lastSuccessfulSend = Date.now();
-        return true;
+        applyRemoteConfig(response.data.config); // settings are included when they changed
+        return { status: 'sent', results: response.data.results || [] };
       } else {
         throw new Error(`Unexpected response status: ${response.status}`);
       }
 
     } catch (error) {
       lastError = error;
-      log('warn', `Attempt ${attempt} failed`, { error: error.message, status: error.response?.status });
+      const status = error.response?.status;
+      log('warn', `Attempt ${attempt} failed`, { error: error.message, status, message: error.response?.data?.message });
+
+      // Every sample in the batch was refused; resending won't change that
+      if (status === 400) return { status: 'rejected', results: error.response.data.results || [] };
+      // A missing or revoked key won't fix itself by retrying now
+      if (status === 401 || status === 403) break;
+
       if (attempt < maxRetries) {
         const delay = CONFIG.RETRY_DELAY * attempt;
         log('info', `Retrying in ${delay}ms...`);
@@ -112,38 +414,77 @@ async function sendDataToServer(data) {
   }
 
   retryCount++;
-  log('error', `Failed to send data after ${maxRetries} attempts`, { error: lastError.message, pcId: data.pcId });
-  return false;
+  log('error', `Failed to send data after ${maxRetries} attempts`, { error: lastError.message, pcId: CONFIG.PC_ID });
+  return { status: 'failed', results: [] };
 }
 
-// Check if client should continue
-function shouldContinueRunning() {
-  const offlineTime = Date.now() - lastSuccessfulSend;
-  if (offlineTime > CONFIG.MAX_OFFLINE_TIME) {
-    log('error', `Server offline for ${Math.round(offlineTime / 1000)}s. Stopping client.`);
-    return false;
+// Replay queued samples oldest-first in batches, stopping at the first failure so order is kept
+async function flushQueue() {
+  if (!agentKey) {
+    agentKey = await loadAgentKey().catch(error => {
+      log('warn', 'Agent enrollment failed, will retry', { error: error.message });
+      return null;
+    });
+  }
+
+  while (isRunning && offlineQueue.size > 0) {
+    const batch = offlineQueue.peek(CONFIG.REPLAY_BATCH_SIZE);
+    const { status, results } = await sendDataToServer(batch);
+
+    if (status === 'failed') {
+      log('warn', `Server unavailable, ${offlineQueue.size} sample(s) queued`);
+      return;
+    }
+
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        log('warn', 'Dropping sample rejected by server', { measuredAt: batch[result.index]?.measuredAt, error: result.error });
+      } else if (result.warnings) {
+        log('warn', 'Server left out invalid fields of a sample', { measuredAt: batch[result.index]?.measuredAt, warnings: result.warnings });
+      }
+    }
+
+    offlineQueue.remove(batch);
   }
-  return true;
+}
+
+// Replay the queue in the background unless a replay is already running; that one
+// also sends the samples queued meanwhile
+function requestFlush() {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    try {
+      await flushQueue();
+
+      // Inventory that could not be sent at startup goes out once the server is reachable
+      if (!inventoryReported && offlineQueue.size === 0) await reportInventory();
+    } catch (error) {
+      log('error', 'Error sending queued samples', { error: error.message });
+    } finally {
+      flushing = null;
+    }
+  })();
+
+  return flushing;
 }
 
 // Monitoring loop
+// Sending runs apart from collection, so retries during an outage don't delay the next sample
 async function monitorSystem() {
   if (!isRunning) return;
 
   try {
-    const currentData = await getSystemInfo();
-    systemInfo = currentData;
-    await sendDataToServer(currentData);
+    // Every sample goes through the durable queue so outages leave no gaps
+    offlineQueue.push(await getSystemInfo());
+    requestFlush();
 
   } catch (error) {
-    log('error', 'Error in monitoring cycle', error);
+    log('error', 'Error in monitoring cycle', { error: error.message });
   }
 
-  if (isRunning && shouldContinueRunning()) {
+  if (isRunning) {
     setTimeout(monitorSystem, CONFIG.COLLECTION_INTERVAL);
-  } else if (isRunning) {
-    log('error', 'Stopping monitoring due to server connectivity issues');
-    process.exit(1);
   }
 }
 
@@ -152,30 +493,43 @@ function gracefulShutdown(signal) {
   log('info', `Received ${signal}. Shutting down gracefully...`);
   isRunning = false;
 
-  if (systemInfo) {
-    sendDataToServer(systemInfo).then(() => {
-      log('info', 'Final data sent. Goodbye!');
-      process.exit(0);
-    }).catch(() => {
-      log('warn', 'Failed to send final data. Goodbye!');
-      process.exit(0);
-    });
+  // Unsent samples are already on disk and are replayed on next start
+  if (offlineQueue && offlineQueue.size > 0) {
+    log('info', `${offlineQueue.size} unsent sample(s) kept in ${CONFIG.QUEUE_FILE}. Goodbye!`);
   } else {
-    log('info', 'No system data to send. Goodbye!');
-    process.exit(0);
+    log('info', 'All data sent. Goodbye!');
   }
+  process.exit(0);
 }
 
 // Start client
 async function startClient() {
+  warmUpBackend();
+
   log('info', 'Starting Multi-PC System Monitoring Client', {
     serverUrl: CONFIG.SERVER_URL,
     collectionInterval: CONFIG.COLLECTION_INTERVAL,
+    sampleInterval: CONFIG.SAMPLE_INTERVAL,
     pcId: CONFIG.PC_ID,
     maxRetries: CONFIG.MAX_RETRIES,
-    verbose: CONFIG.VERBOSE
+    queueFile: CONFIG.QUEUE_FILE,
+    verbose: CONFIG.VERBOSE,
+    collectors: [...CONFIG.COLLECTORS],
+    remoteConfig: CONFIG.REMOTE_CONFIG,
+    configFile: loadedConfig.file
   });
 
+  assertValidConfig();
+
+  offlineQueue = new OfflineQueue(CONFIG.QUEUE_FILE, CONFIG.QUEUE_MAX_SAMPLES, log);
+  plugins = new PluginRunner(CONFIG.PLUGINS_DIR, CONFIG.PLUGIN_TIMEOUT, log);
+
+  // Local readings between reports; each report carries their min / avg / max / last
+  if (CONFIG.SAMPLE_INTERVAL > 0) {
+    sampler = new LocalSampler(CONFIG.SAMPLE_INTERVAL, log);
+    sampler.start();
+  }
+
   // Correct health-check endpoint
   try {
     log('info', 'Testing server connectivity...');
@@ -189,6 +543,19 @@ async function startClient() {
     log('warn', 'Server connectivity test failed, but continuing...', { error: error.message });
   }
 
+  // Agent key (enrolls on first run when ENROLLMENT_TOKEN is set)
+  try {
+    agentKey = await loadAgentKey();
+  } catch (error) {
+    log('error', 'Agent enrollment failed', { error: error.message, message: error.response?.data?.message });
+  }
+
+  // Central config (interval, collectors, retry policy) overrides the environment
+  await fetchRemoteConfig();
+
+  // Static inventory (CPU, RAM, disks, OS, network addresses, agent version)
+  await reportInventory();
+
   // Signal handlers
   process.on('SIGINT', () => gracefulShutdown('SIGINT'));
   process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
@@ -203,39 +570,267 @@ async function startClient() {
   setInterval(() => {
     if (isRunning) {
       const timeSinceLast = Date.now() - lastSuccessfulSend;
-      log('info', 'Client status', { running: isRunning, retryCount, timeSinceLast: Math.round(timeSinceLast/1000)+'s', pcId: CONFIG.PC_ID });
+      log('info', 'Client status', { running: isRunning, retryCount, timeSinceLast: Math.round(timeSinceLast/1000)+'s', queued: offlineQueue.size, dropped: offlineQueue.dropped, configVersion, pcId: CONFIG.PC_ID });
     }
   }, 60000);
 }
 
+// --print: collect one sample and write it to stdout as JSON; nothing is sent
+// Uses the local settings only (the central config is not fetched)
+async function printSample() {
+  logToStderr = true;
+  configErrors.forEach(message => log('error', `Config: ${message}`));
+  plugins = new PluginRunner(CONFIG.PLUGINS_DIR, CONFIG.PLUGIN_TIMEOUT, log);
+
+  const sample = await getSystemInfo();
+  console.log(JSON.stringify(sample, null, 2));
+}
+
+// --once: collect one sample, send it together with anything still queued, then stop
+// Meant for cron; resolves to false when samples are left in the queue
+async function runOnce() {
+  assertValidConfig();
+
+  offlineQueue = new OfflineQueue(CONFIG.QUEUE_FILE, CONFIG.QUEUE_MAX_SAMPLES, log);
+  plugins = new PluginRunner(CONFIG.PLUGINS_DIR, CONFIG.PLUGIN_TIMEOUT, log);
+
+  try {
+    agentKey = await loadAgentKey();
+  } catch (error) {
+    log('error', 'Agent enrollment failed', { error: error.message, message: error.response?.data?.message });
+  }
+
+  await fetchRemoteConfig();
+  await reportInventory();
+
+  isRunning = true;
+  offlineQueue.push(await getSystemInfo());
+  await flushQueue();
+  isRunning = false;
+
+  if (offlineQueue.size > 0) {
+    log('error', `${offlineQueue.size} unsent sample(s) kept in ${CONFIG.QUEUE_FILE} for the next run`);
+    return false;
+  }
+
+  log('info', 'Sample sent', { pcId: CONFIG.PC_ID });
+  return true;
+}
+
+// --dry-run: validate the config and test the server, the agent key, the plugins and
+// the collectors without sending any data (no enrollment, inventory or samples)
+// Resolves to false when a check failed
+async function runCheck() {
+  const ICONS = { ok: '✅', warn: '⚠️ ', fail: '❌' };
+  let passed = true;
+  const report = (result, message) => {
+    if (result === 'fail') passed = false;
+    console.log(`${ICONS[result]} ${message}`);
+  };
+
+  const { errors, warnings } = validateConfig();
+  errors.forEach(message => report('fail', message));
+  warnings.forEach(message => report('warn', message));
+  if (errors.length === 0) report('ok', `Config valid (PC_ID ${CONFIG.PC_ID}, SERVER_URL ${CONFIG.SERVER_URL})`);
+  console.log(`   Config file: ${loadedConfig.file || 'none (defaults and environment only)'}`);
+
+  try {
+    await axios.get(`${CONFIG.SERVER_URL}/health`, { timeout: 10000, headers: requestHeaders() });
+    report('ok', 'Server reachable');
+  } catch (error) {
+    report('fail', `Server not reachable: ${error.message}`);
+  }
+
+  const stored = readAgentKey();
+  if (stored) {
+    agentKey = stored.key;
+    try {
+      const response = await axios.get(apiUrl('/agents/config'), { timeout: 10000, headers: requestHeaders() });
+      const config = response.data.data;
+      if (config.pcId !== CONFIG.PC_ID) {
+        report('fail', `Agent key (${stored.source}) belongs to ${config.pcId}, not PC_ID ${CONFIG.PC_ID}`);
+      } else {
+        report('ok', `Agent key accepted (${stored.source})`);
+      }
+      if (CONFIG.REMOTE_CONFIG) {
+        applyRemoteConfig(config);
+        report('ok', `Central config ${config.version} (${config.sources.length > 0 ? config.sources.join(', ') : 'no layers set'})`);
+      }
+    } catch (error) {
+      const status = error.response?.status;
+      report('fail', status === 401 || status === 403
+        ? `Agent key (${stored.source}) rejected: ${error.response.data?.message || status}`
+        : `Could not verify the agent key: ${error.message}`);
+    }
+  } else if (CONFIG.ENROLLMENT_TOKEN) {
+    report('warn', 'No agent key yet; the client enrolls with ENROLLMENT_TOKEN when it starts');
+  }
+
+  plugins = new PluginRunner(CONFIG.PLUGINS_DIR, CONFIG.PLUGIN_TIMEOUT, log);
+  if (CONFIG.COLLECTORS.has('custom') && plugins.size > 0) {
+    report('ok', `${plugins.size} plugin(s) loaded from ${CONFIG.PLUGINS_DIR}: ${plugins.plugins.map(p => p.name).join(', ')}`);
+  }
+
+  try {
+    const sample = await getSystemInfo();
+    const custom = sample.custom ? `, ${Object.keys(sample.custom).length} custom metric(s)` : '';
+    report('ok', `Sample collected: CPU ${sample.cpu}%, RAM ${sample.ram}%, disk ${sample.disk}%${custom}`);
+    if (CONFIG.VERBOSE) console.log(JSON.stringify(sample, null, 2));
+  } catch (error) {
+    report('fail', `Could not collect a sample: ${error.message}`);
+  }
+
+  console.log(passed ? '\nAll checks passed, nothing was sent.' : '\nSome checks failed, nothing was sent.');
+  return passed;
+}
+
+// systemd unit running this client from its current location as the current user
+// Settings come from the config file and the .env file next to client.js (the unit's
+// working directory); a config file given with --config / CONFIG_FILE is passed on
+function systemdUnit() {
+  const user = process.env.SUDO_USER || os.userInfo().username;
+  const configArg = (configFlag.file || process.env.CONFIG_FILE) ? ` --config "${loadedConfig.file}"` : '';
+
+  return `[Unit]
+Description=Multi-PC System Monitoring Agent
+After=network-online.target
+Wants=network-online.target
+
+[Service]
+Type=simple
+User=${user}
+WorkingDirectory=${__dirname}
+ExecStart="${process.execPath}" "${__filename}"${configArg}
+Restart=always
+RestartSec=10
+
+[Install]
+WantedBy=multi-user.target
+`;
+}
+
+// --systemd-unit [file]: print the unit, or write it to file and show how to enable it
+// Hints go to stderr so the unit can be piped straight into a file
+async function writeSystemdUnit(file) {
+  if (process.platform !== 'linux') console.error('Note: systemd units are only used on Linux');
+  if (!loadedConfig.file && !fs.existsSync(path.join(__dirname, '.env'))) {
+    console.error(`Note: no config file or .env in ${__dirname}; the service only sees the settings in those files`);
+  }
+
+  if (!file) {
+    process.stdout.write(systemdUnit());
+    console.error(`\nInstall with: node client.js --systemd-unit /etc/systemd/system/${SERVICE_NAME}.service`);
+    return;
+  }
+
+  fs.writeFileSync(file, systemdUnit());
+  const name = path.basename(file);
+  console.error(`Wrote ${file}. Enable and start the service with:\n  sudo systemctl daemon-reload\n  sudo systemctl enable --now ${name}`);
+}
+
 // Help info
 function showHelp() {
   console.log(`
 Multi-PC System Monitoring Client
 
-Usage: node client.js [options]
+Usage: node client.js [command] [--config <file>]
+
+Commands:
+  (none)              Run the client, sending a sample every COLLECTION_INTERVAL
+  --once              Collect and send one sample (plus anything queued), then exit;
+                      exit code 1 when samples are left unsent (for cron)
+  --print             Collect one sample and print it as JSON; nothing is sent
+  --dry-run, --check  Validate the config and test the server, agent key, plugins
+                      and collectors without sending anything
+  --systemd-unit [file]
+                      Print a systemd unit running this client, or write it to file
+  --help, -h          Show this help
+
+Options:
+  --config <file>     JSON or YAML config file (default: CONFIG_FILE, or agent.yaml,
+                      agent.yml or agent.json next to client.js when present)
+
+Settings come from the config file (camelCase keys, e.g. collectionInterval) and
+the environment variables below, which take precedence. Invalid values stop the
+client with a message naming the setting.
 
 Environment Variables:
+  CONFIG_FILE         Config file to read (same as --config)
   SERVER_URL          Backend server URL (default: http://localhost:5000/api/systemdata)
-  COLLECTION_INTERVAL Data collection interval in ms (default: 5000)
+  COLLECTION_INTERVAL Data collection interval in ms (default: 60000)
   PC_ID              PC identifier (default: hostname)
   MAX_RETRIES        Maximum retry attempts (default: 3)
   RETRY_DELAY        Delay between retries in ms (default: 5000)
-  MAX_OFFLINE_TIME   Max time to run without server connection in ms (default: 300000)
+  QUEUE_FILE         File unsent samples are buffered in (default: ./offline-queue.ndjson)
+  QUEUE_MAX_SAMPLES  Max buffered samples before the oldest are dropped (default: 10080)
+  REPLAY_BATCH_SIZE  Samples sent per request when replaying the queue (default: 100)
   VERBOSE            Enable verbose logging (default: false)
+  AGENT_KEY          Agent API key issued by the server admin
+  AGENT_KEY_FILE     File the enrolled key is stored in (default: ./.agent-key)
+  ENROLLMENT_TOKEN   Shared token used to self-enroll when no key is available
+  TOP_PROCESSES      Processes reported by CPU and by memory, 0 to disable (default: 5, max: 50)
+  COLLECTORS         Optional collectors to run, comma-separated
+                     (default: cpuCores,disks,network,swap,loadAvg,processes,custom)
+  PLUGINS_DIR        Directory of custom metric plugins (default: ./plugins)
+  PLUGIN_TIMEOUT     Longest a plugin may run in ms (default: 10000)
+  SAMPLE_INTERVAL    Local CPU / RAM reading interval in ms between reports, 0 to read
+                     once per report (default: 5000)
+  MOUNTS             Mounts reported under disks, comma-separated (default: all)
+  MAIN_MOUNT         Mount used for the headline disk usage (default: C:, / or /System/Volumes/Data)
+  REMOTE_CONFIG      Apply the central config managed on the backend (default: true)
 
 Examples:
   node client.js
   PC_ID=MyPC-001 SERVER_URL=http://localhost:5000/api/systemdata node client.js
+  node client.js --dry-run
+  node client.js --config /etc/pc-monitoring/agent.yaml
+  node client.js --print > sample.json
+  node client.js --systemd-unit /etc/systemd/system/pc-monitoring-agent.service
 `);
 }
 
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-  showHelp();
-  process.exit(0);
+// Runs a one-shot command and exits: 0 on success, 1 when it failed
+function runCommand(command, ...args) {
+  command(...args).then(
+    result => process.exit(result === false ? 1 : 0),
+    error => {
+      log('error', 'Command failed', { error: error.message });
+      process.exit(1);
+    }
+  );
 }
 
-startClient().catch(error => {
-  log('error', 'Failed to start client', error);
-  process.exit(1);
-});
\ No newline at end of file
+// Commands may be given with or without the leading dashes (--once or once)
+const COMMAND_ALIASES = { '-h': 'help', 'dry-run': 'check' };
+const [commandArg, ...commandArgs] = configFlag.argv;
+const commandName = commandArg ? commandArg.replace(/^--/, '') : 'run';
+const command = COMMAND_ALIASES[commandName] || commandName;
+
+switch (command) {
+  case 'help':
+    showHelp();
+    process.exit(0);
+    break;
+  case 'print':
+    runCommand(printSample);
+    break;
+  case 'once':
+    runCommand(runOnce);
+    break;
+  case 'check':
+    runCommand(runCheck);
+    break;
+  case 'systemd-unit':
+    runCommand(writeSystemdUnit, commandArgs[0]);
+    break;
+  case 'run':
+    startClient().catch(error => {
+      log('error', 'Failed to start client', { error: error.message });
+      process.exit(1);
+    });
+    break;
+  default:
+    console.error(`Unknown command: ${commandArg}`);
+    showHelp();
+    process.exit(2);
+}
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Optional collectors (cpu / ram / disk / uptime are always sent); custom runs the plugins
+const COLLECTOR_NAMES = ['cpuCores', 'disks', 'network', 'swap', 'loadAvg', 'processes', 'custom'];
+
+// Config files looked for next to client.js when no file is given
+const DEFAULT_FILES = ['agent.yaml', 'agent.yml', 'agent.json'];
+
+/**
+ * Every agent setting: its key in the config file, its environment variable
+ * (the CONFIG name), type, limits and default
+ *
+ * Types: string, url, path (relative paths resolve against the config file's
+ * directory), integer (min / max; `zero` also allows 0 to turn a feature off),
+ * boolean and list (an array in the file, comma separated in the environment;
+ * `values` restricts the entries)
+ */
+const SCHEMA = {
+  SERVER_URL: { key: 'serverUrl', type: 'url', default: 'http://localhost:5000/api/systemdata' },
+  PC_ID: { key: 'pcId', type: 'string', default: os.hostname() },
+  COLLECTION_INTERVAL: { key: 'collectionInterval', type: 'integer', min: 5000, max: 24 * 60 * 60 * 1000, default: 60000 },
+  SAMPLE_INTERVAL: { key: 'sampleInterval', type: 'integer', min: 1000, max: 60 * 60 * 1000, zero: true, default: 5000 }, // 0: one reading per report
+  MAX_RETRIES: { key: 'maxRetries', type: 'integer', min: 1, max: 10, default: 3 },
+  RETRY_DELAY: { key: 'retryDelay', type: 'integer', min: 0, max: 10 * 60 * 1000, default: 5000 },
+  VERBOSE: { key: 'verbose', type: 'boolean', default: false },
+  QUEUE_FILE: { key: 'queueFile', type: 'path', default: path.join(__dirname, 'offline-queue.ndjson') },
+  QUEUE_MAX_SAMPLES: { key: 'queueMaxSamples', type: 'integer', min: 1, default: 10080 }, // 1 week at 60s
+  REPLAY_BATCH_SIZE: { key: 'replayBatchSize', type: 'integer', min: 1, max: 1000, default: 100 }, // server max 1000
+  AGENT_KEY: { key: 'agentKey', type: 'string', default: null },
+  AGENT_KEY_FILE: { key: 'agentKeyFile', type: 'path', default: path.join(__dirname, '.agent-key') },
+  ENROLLMENT_TOKEN: { key: 'enrollmentToken', type: 'string', default: null },
+  TOP_PROCESSES: { key: 'topProcesses', type: 'integer', min: 0, max: 50, default: 5 }, // 0 disables, server max 50
+  COLLECTORS: { key: 'collectors', type: 'list', values: COLLECTOR_NAMES, default: COLLECTOR_NAMES },
+  MOUNTS: { key: 'mounts', type: 'list', default: [] }, // empty: every mounted filesystem
+  MAIN_MOUNT: { key: 'mainMount', type: 'string', default: null }, // null: C:, / or /System/Volumes/Data
+  REMOTE_CONFIG: { key: 'remoteConfig', type: 'boolean', default: true },
+  PLUGINS_DIR: { key: 'pluginsDir', type: 'path', default: path.join(__dirname, 'plugins') },
+  PLUGIN_TIMEOUT: { key: 'pluginTimeout', type: 'integer', min: 100, max: 10 * 60 * 1000, default: 10000 }
+};
+
+// Human-readable range of an integer setting
+function describeRange(spec) {
+  const range = spec.max === undefined ? `at least ${spec.min}` : `from ${spec.min} to ${spec.max}`;
+  return spec.zero ? `0 or ${range}` : range;
+}
+
+/**
+ * Check one value against its schema entry
+ * Environment values are strings and are converted first; file values must already
+ * have the right JSON / YAML type
+ * @returns {{ value: * }|{ error: string }}
+ */
+function parseValue(spec, raw, fromEnv) {
+  switch (spec.type) {
+    case 'integer': {
+      const value = fromEnv && /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+      const inRange = value >= spec.min && (spec.max === undefined || value <= spec.max);
+      if (!Number.isInteger(value) || !(inRange || (spec.zero && value === 0))) {
+        return { error: `must be a whole number ${describeRange(spec)}, got ${JSON.stringify(raw)}` };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      const value = fromEnv && ['true', 'false'].includes(raw) ? raw === 'true' : raw;
+      if (typeof value !== 'boolean') return { error: `must be true or false, got ${JSON.stringify(raw)}` };
+      return { value };
+    }
+
+    case 'list': {
+      const value = fromEnv ? raw.split(',').map(item => item.trim()).filter(Boolean) : raw;
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+        return { error: `must be a list of names, got ${JSON.stringify(raw)}` };
+      }
+      const unknown = spec.values ? value.filter(item => !spec.values.includes(item)) : [];
+      if (unknown.length > 0) {
+        return { error: `has unknown entries ${unknown.join(', ')} (allowed: ${spec.values.join(', ')})` };
+      }
+      return { value: [...new Set(value)] };
+    }
+
+    case 'url': {
+      let url;
+      try {
+        url = new URL(raw);
+      } catch (error) {
+        return { error: `must be a URL, got ${JSON.stringify(raw)}` };
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) return { error: `must be an http(s) URL, got ${JSON.stringify(raw)}` };
+      return { value: raw };
+    }
+
+    default: { // string, path
+      if (typeof raw !== 'string' || raw.trim() === '') return { error: `must be a non-empty string, got ${JSON.stringify(raw)}` };
+      if (raw.trim() !== raw) return { error: `must not start or end with spaces, got ${JSON.stringify(raw)}` };
+      return { value: raw };
+    }
+  }
+}
+
+/**
+ * Read a JSON or YAML config file (by extension; .json is JSON, anything else YAML)
+ * @throws {Error} With the file name and, for syntax errors, the position
+ */
+function readConfigFile(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(error.code === 'ENOENT' ? `Config file not found: ${file}` : `Cannot read config file ${file}: ${error.message}`);
+  }
+
+  let values;
+  try {
+    values = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Config file ${file} is not valid ${path.extname(file).toLowerCase() === '.json' ? 'JSON' : 'YAML'}: ${error.message}`);
+  }
+
+  // An empty YAML file is fine; anything else must be a mapping of settings
+  if (values === undefined || values === null) return {};
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Config file ${file} must contain an object of settings`);
+  }
+  return values;
+}
+
+/**
+ * Take `--config <file>` / `--config=<file>` out of the command line arguments
+ * @returns {{ file: string|null, argv: string[], error?: string }} argv without the flag
+ */
+function takeConfigFlag(argv) {
+  const index = argv.findIndex(arg => arg === '--config' || arg.startsWith('--config='));
+  if (index === -1) return { file: null, argv };
+
+  const inline = argv[index].startsWith('--config=');
+  const file = inline ? argv[index].slice('--config='.length) : argv[index + 1];
+  const rest = argv.filter((arg, i) => i !== index && (inline || i !== index + 1));
+
+  if (!file || file.startsWith('--')) return { file: null, argv: rest, error: '--config needs a file path' };
+  return { file, argv: rest };
+}
+
+/**
+ * Load the agent settings
+ *
+ * Sources in increasing priority: the defaults in SCHEMA, the config file and the
+ * environment (including .env). A value that fails validation is reported in
+ * `errors` and the next lower source's value is kept.
+ *
+ * @param {string|null} [file] - Config file; when not given, the first of DEFAULT_FILES next to client.js
+ * @param {Object} [env] - Environment variables
+ * @returns {{ config: Object, file: string|null, sources: Object, errors: string[] }}
+ *   config is keyed by the environment variable names (SERVER_URL, ...); sources
+ *   tells for each setting whether it came from 'default', 'file' or 'env'
+ */
+function loadConfig(file = null, env = process.env) {
+  const errors = [];
+  const config = {};
+  const sources = {};
+
+  const configFile = file
+    ? path.resolve(file)
+    : DEFAULT_FILES.map(name => path.join(__dirname, name)).find(candidate => fs.existsSync(candidate)) || null;
+
+  let fileValues = {};
+  if (configFile) {
+    try {
+      fileValues = readConfigFile(configFile);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  const keys = Object.values(SCHEMA).map(spec => spec.key);
+  for (const key of Object.keys(fileValues)) {
+    if (!keys.includes(key)) errors.push(`${path.basename(configFile)}: unknown setting "${key}"`);
+  }
+
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    config[name] = spec.default;
+    sources[name] = 'default';
+
+    if (fileValues[spec.key] !== undefined && fileValues[spec.key] !== null) {
+      const result = parseValue(spec, fileValues[spec.key], false);
+      if (result.error) {
+        errors.push(`${path.basename(configFile)}: ${spec.key} ${result.error}`);
+      } else {
+        config[name] = spec.type === 'path' ? path.resolve(path.dirname(configFile), result.value) : result.value;
+        sources[name] = 'file';
+      }
+    }
+
+    if (env[name] !== undefined && env[name] !== '') {
+      const result = parseValue(spec, env[name], true);
+      if (result.error) {
+        errors.push(`${name} ${result.error}`);
+      } else {
+        config[name] = spec.type === 'path' ? path.resolve(result.value) : result.value;
+        sources[name] = 'env';
+      }
+    }
+  }
+
+  return { config, file: configFile, sources, errors };
+}
+
+module.exports = {
+  COLLECTOR_NAMES,
+  SCHEMA,
+  loadConfig,
+  takeConfigFlag
+};
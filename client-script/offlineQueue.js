@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+// Width of the header line, so the consumed count can be rewritten in place
+const HEADER_WIDTH = 48;
+
+// Consumed entries are compacted away once there are at least this many and they
+// outnumber the queued ones
+const COMPACT_MIN = 1000;
+
+/**
+ * Durable FIFO queue of samples waiting to be sent
+ *
+ * Samples are kept in memory and appended to an NDJSON file so they survive
+ * restarts. The file starts with a fixed-width header line counting the entries
+ * already consumed (sent or dropped), so removing samples only rewrites that
+ * header in place; the file is compacted (temp file + rename) once consumed
+ * entries outnumber the queued ones. When the queue is full the oldest samples
+ * are dropped.
+ */
+class OfflineQueue {
+  /**
+   * @param {string} file - Path of the NDJSON queue file
+   * @param {number} maxSamples - Maximum samples kept before dropping the oldest
+   * @param {Function} [log] - Logger with the client's log(level, message, data) signature
+   */
+  constructor(file, maxSamples, log = () => {}) {
+    this.file = file;
+    this.maxSamples = maxSamples;
+    this.log = log;
+    this.items = [];
+    this.consumed = 0; // entries at the start of the file that are no longer queued
+    this.dropped = 0;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.load();
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  // Read queued samples left over from a previous run
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.log('warn', 'Could not read offline queue', { file: this.file, error: error.message });
+      this.compact();
+      return;
+    }
+
+    let consumed = 0;
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can leave a partial last line; skip it
+        this.log('warn', 'Skipping corrupt offline queue entry');
+        return;
+      }
+      // Files written before the header was added hold samples only
+      if (index === 0 && entry && entry.offlineQueue) consumed = entry.consumed;
+      else this.items.push(entry);
+    });
+    this.items = this.items.slice(consumed);
+
+    if (this.items.length > this.maxSamples) {
+      this.dropped += this.items.length - this.maxSamples;
+      this.items = this.items.slice(-this.maxSamples);
+    }
+
+    this.compact();
+    if (this.items.length > 0) {
+      this.log('info', `Loaded ${this.items.length} queued samples from disk`, { file: this.file });
+    }
+  }
+
+  header() {
+    return JSON.stringify({ offlineQueue: 1, consumed: this.consumed }).padEnd(HEADER_WIDTH - 1) + '\n';
+  }
+
+  // Rewrite the file with the queued samples only, atomically
+  compact() {
+    this.consumed = 0;
+    const tmp = `${this.file}.tmp`;
+    const content = this.header() + this.items.map(item => JSON.stringify(item) + '\n').join('');
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, this.file);
+  }
+
+  // Mark `count` more entries at the start of the file as consumed
+  consume(count) {
+    this.consumed += count;
+
+    if (this.consumed >= COMPACT_MIN && this.consumed >= this.items.length) {
+      this.compact();
+      return;
+    }
+
+    const fd = fs.openSync(this.file, 'r+');
+    try {
+      fs.writeSync(fd, this.header(), 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Add a sample at the tail, dropping the oldest when over the cap
+  push(sample) {
+    this.items.push(sample);
+    fs.appendFileSync(this.file, JSON.stringify(sample) + '\n');
+
+    if (this.items.length > this.maxSamples) {
+      const overflow = this.items.length - this.maxSamples;
+      this.items.splice(0, overflow);
+      this.dropped += overflow;
+      this.log('warn', `Offline queue full, dropped ${overflow} oldest sample(s)`, { maxSamples: this.maxSamples });
+      this.consume(overflow);
+    }
+  }
+
+  // Oldest queued samples, without removing them
+  peek(count = 1) {
+    return this.items.slice(0, count);
+  }
+
+  // Remove delivered samples (from peek) from the head of the queue; those dropped
+  // meanwhile because the queue overflowed are already gone
+  remove(samples) {
+    const delivered = new Set(samples);
+    let count = 0;
+    while (count < this.items.length && delivered.has(this.items[count])) count++;
+
+    if (count > 0) {
+      this.items.splice(0, count);
+      this.consume(count);
+    }
+  }
+}
+
+module.exports = OfflineQueue;
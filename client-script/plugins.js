@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Metric names the backend accepts
+const NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+
+// Files in the plugins directory that are never run
+const IGNORED = ['.json', '.md', '.txt', '.log'];
+
+/**
+ * Custom metric collector plugins
+ *
+ * Every file in the plugins directory is a plugin named after the file (without
+ * extension). JavaScript modules export `collect()` (sync or async) returning
+ * { metric: number }, plus an optional `interval` in ms; any other executable file
+ * is run and must print that JSON object on stdout, its interval read from an
+ * optional `<name>.json` next to it ({ "interval": ms }). Metrics are reported as
+ * `<plugin>.<metric>`. A plugin runs with the next sample once its interval has
+ * passed (default: every sample).
+ */
+class PluginRunner {
+  /**
+   * @param {string} dir - Directory the plugins are loaded from
+   * @param {number} timeout - Longest a plugin may run, in ms
+   * @param {Function} [log] - Logger with the client's log(level, message, data) signature
+   */
+  constructor(dir, timeout, log = () => {}) {
+    this.dir = dir;
+    this.timeout = timeout;
+    this.log = log;
+    this.plugins = [];
+    this.load();
+  }
+
+  get size() {
+    return this.plugins.length;
+  }
+
+  // Find the plugins; a missing directory just means there are none
+  load() {
+    let files;
+    try {
+      files = fs.readdirSync(this.dir).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.log('warn', 'Could not read plugins directory', { dir: this.dir, error: error.message });
+      return;
+    }
+
+    for (const file of files) {
+      const fullPath = path.join(this.dir, file);
+      const ext = path.extname(file).toLowerCase();
+      const name = path.basename(file, ext);
+
+      if (file.startsWith('.') || IGNORED.includes(ext) || !fs.statSync(fullPath).isFile()) continue;
+
+      if (!NAME_PATTERN.test(name)) {
+        this.log('warn', 'Skipping plugin with an invalid name', { file });
+        continue;
+      }
+
+      if (ext === '.js') {
+        try {
+          const plugin = require(fullPath);
+          const collect = typeof plugin === 'function' ? plugin : plugin.collect;
+          if (typeof collect !== 'function') throw new Error('module exports no collect() function');
+          this.plugins.push({ name, kind: 'module', collect, interval: plugin.interval || 0, lastRun: 0 });
+        } catch (error) {
+          this.log('warn', 'Skipping plugin that failed to load', { file, error: error.message });
+        }
+      } else if (this.isExecutable(fullPath, ext)) {
+        this.plugins.push({ name, kind: 'executable', file: fullPath, interval: this.readInterval(name), lastRun: 0 });
+      }
+    }
+
+    if (this.plugins.length > 0) {
+      this.log('info', `Loaded ${this.plugins.length} collector plugin(s)`, { plugins: this.plugins.map(p => p.name) });
+    }
+  }
+
+  // Interval of an executable plugin from its `<name>.json` settings file (0 without one)
+  readInterval(name) {
+    const file = path.join(this.dir, `${name}.json`);
+    let settings;
+    try {
+      settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.log('warn', 'Ignoring unreadable plugin settings', { file, error: error.message });
+      return 0;
+    }
+
+    const interval = settings && settings.interval;
+    if (interval === undefined) return 0;
+    if (typeof interval !== 'number' || !Number.isFinite(interval) || interval < 0) {
+      this.log('warn', 'Ignoring invalid plugin interval (milliseconds expected)', { file, interval });
+      return 0;
+    }
+    return interval;
+  }
+
+  isExecutable(file, ext) {
+    if (process.platform === 'win32') return ['.exe', '.cmd', '.bat'].includes(ext);
+    try {
+      fs.accessSync(file, fs.constants.X_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Run an executable plugin and parse the JSON it prints
+  runExecutable(plugin) {
+    return new Promise((resolve, reject) => {
+      const shell = process.platform === 'win32' && /\.(cmd|bat)$/i.test(plugin.file);
+      execFile(plugin.file, [], { timeout: this.timeout, shell, windowsHide: true }, (error, stdout) => {
+        if (error) return reject(error);
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (parseError) {
+          reject(new Error(`output is not JSON: ${parseError.message}`));
+        }
+      });
+    });
+  }
+
+  // Run a module plugin, giving up after the timeout
+  runModule(plugin) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${this.timeout}ms`)), this.timeout);
+    });
+    return Promise.race([Promise.resolve().then(() => plugin.collect()), timeout])
+      .finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Run the plugins that are due and collect their metrics
+   * @returns {Promise<Object|null>} { '<plugin>.<metric>': number } or null when none ran
+   */
+  async collect() {
+    const now = Date.now();
+    const due = this.plugins.filter(plugin => now - plugin.lastRun >= plugin.interval);
+    if (due.length === 0) return null;
+
+    const metrics = {};
+
+    await Promise.all(due.map(async plugin => {
+      plugin.lastRun = now;
+
+      let output;
+      try {
+        output = plugin.kind === 'module' ? await this.runModule(plugin) : await this.runExecutable(plugin);
+      } catch (error) {
+        this.log('warn', `Plugin ${plugin.name} failed`, { error: error.message });
+        return;
+      }
+
+      if (!output || typeof output !== 'object' || Array.isArray(output)) {
+        this.log('warn', `Plugin ${plugin.name} returned no metrics object`);
+        return;
+      }
+
+      for (const [metric, value] of Object.entries(output)) {
+        const name = `${plugin.name}.${metric}`;
+        if (!NAME_PATTERN.test(name) || typeof value !== 'number' || !Number.isFinite(value)) {
+          this.log('warn', `Plugin ${plugin.name}: skipping invalid metric`, { metric, value });
+          continue;
+        }
+        metrics[name] = value;
+      }
+    }));
+
+    return Object.keys(metrics).length > 0 ? metrics : null;
+  }
+}
+
+module.exports = PluginRunner;
@@ -0,0 +1,95 @@
+const si = require('systeminformation');
+
+// Metrics read on every local tick (percentages)
+const METRICS = ['cpu', 'ram'];
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * High-frequency local sampling
+ *
+ * Reads CPU load and RAM usage every `interval` ms between two reports, so spikes
+ * shorter than the reporting interval still show up. `take()` returns min / avg /
+ * max / last of each metric since the previous call and starts a new window; only
+ * running totals are kept, so memory use doesn't grow with the window.
+ */
+class LocalSampler {
+  /**
+   * @param {number} interval - Milliseconds between local readings
+   * @param {Function} [log] - Logger with the client's log(level, message, data) signature
+   */
+  constructor(interval, log = () => {}) {
+    this.interval = interval;
+    this.log = log;
+    this.timer = null;
+    this.lastLoad = null; // latest si.currentLoad() result (per-core loads)
+    this.reset();
+  }
+
+  reset() {
+    this.window = Object.fromEntries(METRICS.map(metric => [metric, null]));
+  }
+
+  start() {
+    if (this.timer) return;
+
+    const tick = async () => {
+      try {
+        await this.sample();
+      } catch (error) {
+        this.log('warn', 'Local sampling failed', { error: error.message });
+      }
+      if (this.timer) this.timer = setTimeout(tick, this.interval);
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // One local reading; si.currentLoad() measures the load since its previous call
+  async sample() {
+    const [load, mem] = await Promise.all([si.currentLoad(), si.mem()]);
+    this.lastLoad = load;
+    this.add('cpu', load.currentLoad);
+    if (mem && mem.total > 0) this.add('ram', (mem.used / mem.total) * 100);
+  }
+
+  add(metric, value) {
+    const stats = this.window[metric];
+    if (!stats) {
+      this.window[metric] = { min: value, max: value, sum: value, last: value, samples: 1 };
+      return;
+    }
+    stats.min = Math.min(stats.min, value);
+    stats.max = Math.max(stats.max, value);
+    stats.sum += value;
+    stats.last = value;
+    stats.samples++;
+  }
+
+  /**
+   * Summary of the readings since the previous call, then start a new window
+   * @returns {Object|null} { cpu: { min, avg, max, last, samples }, ram: {...} },
+   *   null when nothing was read yet
+   */
+  take() {
+    const entries = Object.entries(this.window)
+      .filter(([, stats]) => stats)
+      .map(([metric, stats]) => {
+        const min = round2(stats.min);
+        const max = round2(stats.max);
+        // The float sum can put the average a hair outside the extremes
+        const avg = Math.min(Math.max(round2(stats.sum / stats.samples), min), max);
+        return [metric, { min, avg, max, last: round2(stats.last), samples: stats.samples }];
+      });
+
+    this.reset();
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  }
+}
+
+module.exports = LocalSampler;
@@ -1,16 +1,25 @@
 import React from 'react';
+import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import Dashboard from './components/Dashboard';
+import PCDetail from './components/PCDetail';
+import CompareView from './components/CompareView';
 import './App.css';
 
 /**
  * App Component - Main application component
- * Renders the dashboard with routing support for future expansion
+ * Routes: / (dashboard), /pc/:pcId (detail page of one PC), /compare (PCs overlaid)
  */
 function App() {
   return (
-    <div className="App">
-      <Dashboard />
-    </div>
+    <BrowserRouter>
+      <div className="App">
+        <Routes>
+          <Route path="/" element={<Dashboard />} />
+          <Route path="/pc/:pcId" element={<PCDetail />} />
+          <Route path="/compare" element={<CompareView />} />
+        </Routes>
+      </div>
+    </BrowserRouter>
   );
 }
 
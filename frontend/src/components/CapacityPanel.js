@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { dataUtils } from '../utils/api';
+
+// Horizons the report can be limited to
+const HORIZONS = [7, 14, 30, 90];
+
+const formatTrend = (perDay) => `${perDay > 0 ? '+' : ''}${perDay.toFixed(2)}%/day`;
+
+/**
+ * CapacityPanel Component
+ * Capacity report: PCs whose disk is predicted to be full within the chosen
+ * number of days, soonest first
+ */
+const CapacityPanel = ({ forecast, pcs }) => {
+  const [days, setDays] = useState(30);
+
+  const toggleButton = (active) => `px-3 py-1 rounded text-sm ${
+    active ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'
+  }`;
+
+  const shown = pcs.filter(pc => pc.daysToFull !== null && pc.daysToFull <= days);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-white">Disk Capacity</h3>
+        <div className="flex space-x-2">
+          {HORIZONS.map(horizon => (
+            <button key={horizon} onClick={() => setDays(horizon)} className={toggleButton(days === horizon)}>
+              {horizon}d
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!forecast ? (
+        <p className="text-gray-400">Loading forecast...</p>
+      ) : shown.length === 0 ? (
+        <p className="text-gray-400">No disk is predicted to be full within {days} days</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400">
+              <th className="text-left">PC</th>
+              <th className="text-right">Disk</th>
+              <th className="text-right">Trend</th>
+              <th className="text-right">Forecast</th>
+              <th className="text-right">Full by</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-300">
+            {shown.map(pc => (
+              <tr key={pc.pcId}>
+                <td className="text-left">
+                  <Link to={`/pc/${encodeURIComponent(pc.pcId)}`} className="text-gray-300 no-underline hover:text-blue-300">
+                    {pc.device?.displayName || pc.pcId}
+                  </Link>
+                </td>
+                <td className="text-right" style={{ color: dataUtils.getStatusColor(pc.current) }}>
+                  {dataUtils.formatPercentage(pc.current)}
+                </td>
+                <td className="text-right">{pc.trendPerDay !== null ? formatTrend(pc.trendPerDay) : '—'}</td>
+                <td className="text-right" style={{ color: dataUtils.getDaysToFullColor(pc.daysToFull) }}>
+                  {dataUtils.formatDaysToFull(pc.daysToFull)}
+                </td>
+                <td className="text-right">{new Date(pc.fullAt).toLocaleDateString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {forecast && (
+        <p className="text-gray-400 text-xs mt-2">
+          Linear trend of the last {Math.round((new Date(forecast.to) - new Date(forecast.from)) / 86400000)} days
+          {forecast.limit < 100 && `, full at ${forecast.limit}%`}
+          {forecast.source !== 'raw' && ` · from ${forecast.source} rollups`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CapacityPanel;
@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { systemDataAPI, errorUtils } from '../utils/api';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const RANGES = [
+  { label: '1h', hours: 1 },
+  { label: '6h', hours: 6 },
+  { label: '24h', hours: 24 },
+  { label: '7d', hours: 7 * 24 },
+  { label: '30d', hours: 30 * 24 }
+];
+
+const METRICS = [
+  { key: 'cpu', label: 'CPU' },
+  { key: 'ram', label: 'RAM' },
+  { key: 'disk', label: 'Disk' }
+];
+
+// Same limit as the backend's comparison endpoint
+const MAX_PCS = 12;
+
+// One line color per selected PC, in selection order
+const COLORS = [
+  '#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899',
+  '#14b8a6', '#f97316', '#84cc16', '#06b6d4', '#e11d48', '#a3a3a3'
+];
+
+const formatTick = (ms, hours) => {
+  const date = new Date(ms);
+  if (hours <= 24) {
+    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+  }
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', hour12: false });
+};
+
+/**
+ * CompareView Component - Overlay one metric of several PCs (/compare)
+ * The selection lives in the URL (?pcs=pc-01,pc-07&metric=cpu&hours=6) so
+ * a comparison can be shared as a link
+ */
+const CompareView = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selected = useMemo(
+    () => (searchParams.get('pcs') || '').split(',').filter(Boolean),
+    [searchParams]
+  );
+  const metric = searchParams.get('metric') || 'cpu';
+  const hours = parseInt(searchParams.get('hours')) || 6;
+
+  const [pcs, setPCs] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Update some URL parameters, keeping the rest
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([name, value]) => next.set(name, value));
+    setSearchParams(next, { replace: true });
+  };
+
+  const togglePC = (pcId) => {
+    const next = selected.includes(pcId)
+      ? selected.filter(id => id !== pcId)
+      : [...selected, pcId].slice(0, MAX_PCS);
+    updateParams({ pcs: next.join(',') });
+  };
+
+  useEffect(() => {
+    systemDataAPI.getPCs()
+      .then(response => { if (response.success) setPCs(response.data); })
+      .catch(err => setError(errorUtils.getErrorMessage(err)));
+  }, []);
+
+  const fetchComparison = useCallback(async () => {
+    if (selected.length === 0) {
+      setComparison(null);
+      return;
+    }
+    try {
+      const response = await systemDataAPI.getComparison({ pcIds: selected.join(','), metric, hours });
+      if (response.success) {
+        setComparison(response.data);
+        setError(null);
+      }
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+    }
+  }, [selected, metric, hours]);
+
+  useEffect(() => {
+    fetchComparison();
+  }, [fetchComparison]);
+
+  // Values stay nested: pcIds may contain dots, which recharts reads as paths
+  const chartData = useMemo(() => (comparison?.points || []).map(point => ({
+    time: new Date(point.time).getTime(),
+    values: point.values
+  })), [comparison]);
+
+  const nameOf = (pcId) => {
+    const device = comparison?.devices?.find(d => d.pcId === pcId);
+    return device?.displayName || pcId;
+  };
+
+  const toggleButton = (active) => `px-3 py-1 rounded text-sm ${
+    active ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'
+  }`;
+
+  const now = Date.now();
+
+  return (
+    <div className="min-h-screen bg-gray-900">
+      {/* Header */}
+      <header className="bg-gray-800 border-b border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <div>
+              <Link to="/" className="text-blue-400 hover:text-blue-300 text-sm no-underline">← Dashboard</Link>
+              <h1 className="text-2xl font-bold text-white">Compare PCs</h1>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {error && (
+          <div className="bg-red-900 border border-red-500 rounded-lg p-4 mb-6 text-red-400">{error}</div>
+        )}
+
+        {/* PC picker */}
+        <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-6">
+          <h3 className="text-lg font-semibold text-white mb-2">
+            PCs <span className="text-sm text-gray-400">({selected.length}/{MAX_PCS} selected)</span>
+          </h3>
+          <div className="flex flex-wrap gap-2">
+            {pcs.map(pc => {
+              const index = selected.indexOf(pc.pcId);
+              return (
+                <button
+                  key={pc.pcId}
+                  onClick={() => togglePC(pc.pcId)}
+                  disabled={index === -1 && selected.length >= MAX_PCS}
+                  className={toggleButton(index !== -1)}
+                  style={index !== -1 ? { backgroundColor: COLORS[index % COLORS.length] } : undefined}
+                >
+                  {pc.device?.displayName || pc.pcId}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Chart */}
+        <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex space-x-2">
+              {METRICS.map(m => (
+                <button key={m.key} onClick={() => updateParams({ metric: m.key })} className={toggleButton(metric === m.key)}>
+                  {m.label}
+                </button>
+              ))}
+            </div>
+            <div className="flex space-x-2">
+              {RANGES.map(range => (
+                <button key={range.hours} onClick={() => updateParams({ hours: range.hours })} className={toggleButton(hours === range.hours)}>
+                  {range.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {selected.length === 0 ? (
+            <p className="text-gray-400">Pick the PCs to compare above</p>
+          ) : !comparison ? (
+            <p className="text-gray-400">Loading comparison...</p>
+          ) : (
+            <>
+              <ResponsiveContainer width="100%" height={400}>
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="time"
+                    type="number"
+                    scale="time"
+                    domain={[now - hours * HOUR_MS, now]}
+                    tickFormatter={(ms) => formatTick(ms, hours)}
+                  />
+                  <YAxis domain={[0, 100]} />
+                  <Tooltip labelFormatter={(ms) => new Date(ms).toLocaleString()} />
+                  <Legend />
+                  {comparison.pcIds.map((pcId, i) => (
+                    <Line
+                      key={pcId}
+                      dataKey={(point) => point.values[pcId]}
+                      name={nameOf(pcId)}
+                      stroke={COLORS[i % COLORS.length]}
+                      dot={false}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+              <p className="text-gray-400 text-xs mt-2">
+                {METRICS.find(m => m.key === metric)?.label} average per {comparison.bucket >= 3600 ? `${comparison.bucket / 3600}h` : `${comparison.bucket / 60}m`} bucket
+                {comparison.source !== 'raw' && ` · from ${comparison.source} rollups`}
+              </p>
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { systemDataAPI, errorUtils } from '../utils/api';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const RANGES = [
+  { label: '6h', hours: 6 },
+  { label: '24h', hours: 24 },
+  { label: '7d', hours: 7 * 24 },
+  { label: '30d', hours: 30 * 24 }
+];
+
+// One line color per PC, highest average first
+const COLORS = [
+  '#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899',
+  '#14b8a6', '#f97316', '#84cc16', '#06b6d4', '#e11d48', '#a3a3a3'
+];
+
+// How often the chart is re-fetched
+const REFRESH_INTERVAL_MS = 60000;
+
+const formatTick = (ms, hours) => {
+  const date = new Date(ms);
+  if (hours <= 24) {
+    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+  }
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', hour12: false });
+};
+
+/**
+ * CustomMetricsPanel Component
+ * Charts any custom metric reported by agent plugins (e.g. build.queue_length),
+ * one line per PC. Renders nothing (not even its className margin) while no PC
+ * in scope reports custom metrics.
+ */
+const CustomMetricsPanel = ({ group, pcId, className = '' }) => {
+  const [names, setNames] = useState(null);
+  const [name, setName] = useState('');
+  const [hours, setHours] = useState(24);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    systemDataAPI.getCustomMetricNames({ hours: 7 * 24, group, pcId })
+      .then(response => {
+        if (!response.success) return;
+        setNames(response.data);
+        setName(current => (response.data.some(n => n.name === current) ? current : response.data[0]?.name || ''));
+      })
+      .catch(err => setError(errorUtils.getErrorMessage(err)));
+  }, [group, pcId]);
+
+  const fetchSeries = useCallback(async () => {
+    if (!name) return;
+    try {
+      const response = await systemDataAPI.getCustomMetric({ name, hours, group, pcId });
+      if (response.success) {
+        setData(response.data);
+        setError(null);
+      }
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+    }
+  }, [name, hours, group, pcId]);
+
+  useEffect(() => {
+    fetchSeries();
+    const interval = setInterval(fetchSeries, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchSeries]);
+
+  // Numeric x values so the time axis scales with the real gaps
+  const chartData = useMemo(() => (data?.points || []).map(point => ({
+    time: new Date(point.time).getTime(),
+    values: point.values
+  })), [data]);
+
+  if (!names || names.length === 0) return null;
+
+  const toggleButton = (active) => `px-3 py-1 rounded text-sm ${
+    active ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'
+  }`;
+
+  const nameOf = (id) => data?.devices?.find(d => d.pcId === id)?.displayName || id;
+  const now = Date.now();
+
+  return (
+    <div className={`bg-gray-800 rounded-lg p-6 border border-gray-700 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-4">
+          <h3 className="text-xl font-semibold text-white">Custom Metrics</h3>
+          <select
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="bg-gray-700 text-white text-sm rounded px-3 py-1 border border-gray-600"
+          >
+            {names.map(n => (
+              <option key={n.name} value={n.name}>{n.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex space-x-2">
+          {RANGES.map(range => (
+            <button key={range.hours} onClick={() => setHours(range.hours)} className={toggleButton(hours === range.hours)}>
+              {range.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && !data ? (
+        <p className="text-red-400">{error}</p>
+      ) : !data || data.name !== name ? (
+        <p className="text-gray-400">Loading {name}...</p>
+      ) : data.pcIds.length === 0 ? (
+        <p className="text-gray-400">No values of {name} in this range</p>
+      ) : (
+        <>
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                dataKey="time"
+                type="number"
+                scale="time"
+                domain={[now - hours * HOUR_MS, now]}
+                tickFormatter={(ms) => formatTick(ms, hours)}
+              />
+              <YAxis />
+              <Tooltip labelFormatter={(ms) => new Date(ms).toLocaleString()} />
+              {data.pcIds.length > 1 && <Legend />}
+              {data.pcIds.map((id, i) => (
+                <Line
+                  key={id}
+                  dataKey={(point) => point.values[id]}
+                  name={nameOf(id)}
+                  stroke={COLORS[i % COLORS.length]}
+                  dot={false}
+                  connectNulls
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+          <p className="text-gray-400 text-xs mt-2">
+            Average per {data.bucket >= 3600 ? `${data.bucket / 3600}h` : `${data.bucket / 60}m`} bucket
+            {data.truncated && ` · ${data.pcIds.length} PCs with the highest average`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CustomMetricsPanel;
@@ -1,7 +1,41 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import PCCard from './PCCard';
 import OverviewChart from './OverviewChart';
-import { systemDataAPI, errorUtils } from '../utils/api';
+import RankingPanel from './RankingPanel';
+import CapacityPanel from './CapacityPanel';
+import CustomMetricsPanel from './CustomMetricsPanel';
+import ExportButton from './ExportButton';
+import { systemDataAPI, streamAPI, dataUtils, errorUtils } from '../utils/api';
+
+// Count PCs per reporting status
+const countStatuses = (latest) => {
+  const counts = { online: 0, stale: 0, offline: 0 };
+  latest.forEach(pc => { counts[pc.status || 'online']++; });
+  return counts;
+};
+
+// Group a PC belongs to (null when ungrouped)
+const groupOf = (pc) => pc.device?.group || null;
+
+// Streamed anomalies kept for the cards (older ones come from the API)
+const MAX_LIVE_ANOMALIES = 200;
+
+// Disk forecasts change slowly; re-fetched every 10 minutes
+const FORECAST_INTERVAL_MS = 10 * 60 * 1000;
+
+// Export ranges offered for the whole fleet / selected group
+const EXPORT_RANGES = [
+  { label: '24h', hours: 24 },
+  { label: '7d', hours: 7 * 24 },
+  { label: '30d', hours: 30 * 24 },
+  { label: '90d', hours: 90 * 24 }
+];
+
+// Selector value for "all groups"; ungrouped PCs use an empty-string key
+const ALL_GROUPS = '*';
+const groupKey = (group) => group || '';
+const groupLabel = (group) => group || 'Ungrouped';
 
 /**
  * Dashboard Component - Main dashboard page
@@ -13,16 +47,30 @@ const Dashboard = () => {
   const [error, setError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [autoRefresh, setAutoRefresh] = useState(true);
+  const [streamLive, setStreamLive] = useState(false);
+  const [groupStats, setGroupStats] = useState([]);
+  const [selectedGroup, setSelectedGroup] = useState(ALL_GROUPS);
+  const [liveAnomalies, setLiveAnomalies] = useState([]);
+  const [forecast, setForecast] = useState(null);
+  const systemDataRef = useRef(null);
+
+  useEffect(() => {
+    systemDataRef.current = systemData;
+  }, [systemData]);
 
   // Fetch system data from API
-  const fetchSystemData = async () => {
+  const fetchSystemData = useCallback(async () => {
     try {
       setError(null);
-      const response = await systemDataAPI.getData();
+      const [response, groupsResponse] = await Promise.all([
+        systemDataAPI.getData(),
+        systemDataAPI.getGroups()
+      ]);
       
       if (response.success) {
         setSystemData(response.data);
         setLastUpdate(new Date());
+        if (groupsResponse.success) setGroupStats(groupsResponse.data);
       } else {
         throw new Error(response.message || 'Failed to fetch system data');
       }
@@ -33,21 +81,81 @@ const Dashboard = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
+
+  // Disk-full forecasts of every PC (cards and capacity report)
+  const fetchForecast = useCallback(async () => {
+    try {
+      const response = await systemDataAPI.getForecast();
+      if (response.success) setForecast(response.data);
+    } catch (err) {
+      console.error('Error fetching disk forecast:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchForecast();
+    const interval = setInterval(fetchForecast, FORECAST_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchForecast]);
+
+  // Apply an update to one PC's latest data
+  const updatePC = useCallback((pcId, update) => {
+    setSystemData(prev => {
+      if (!prev?.latest) return prev;
+      const latest = prev.latest.map(pc => (pc.pcId === pcId ? update(pc) : pc));
+      return { ...prev, latest, statusCounts: countStatuses(latest) };
+    });
+  }, []);
 
   // Initial data fetch
   useEffect(() => {
     fetchSystemData();
-  }, []);
+  }, [fetchSystemData]);
 
-  // Auto-refresh setup
+  // Live updates: merge pushed samples and status changes into the dashboard
   useEffect(() => {
     if (!autoRefresh) return;
 
-    const interval = setInterval(fetchSystemData, 30000); // Refresh every 30 seconds
+    const unsubscribe = streamAPI.subscribe({
+      onSample: (sample) => {
+        const known = systemDataRef.current?.latest?.some(pc => pc.pcId === sample.pcId);
+        if (!known) {
+          fetchSystemData(); // new PC: reload the list
+          return;
+        }
+
+        // Replayed backfill can be older than what we show; keep the newest
+        updatePC(sample.pcId, pc => (
+          new Date(sample.measuredAt) > new Date(pc.measuredAt)
+            ? { ...pc, ...sample, status: 'online', lastSeen: sample.measuredAt }
+            : pc
+        ));
+        setLastUpdate(new Date());
+      },
+      onPCStatus: ({ pcId, status, lastSeen }) => {
+        updatePC(pcId, pc => ({ ...pc, status, lastSeen }));
+      },
+      onAnomaly: (anomaly) => {
+        setLiveAnomalies(prev => [...prev, anomaly].slice(-MAX_LIVE_ANOMALIES));
+      },
+      onStatusChange: setStreamLive
+    });
+
+    return () => {
+      unsubscribe();
+      setStreamLive(false);
+    };
+  }, [autoRefresh, fetchSystemData, updatePC]);
+
+  // Polling: every 30 seconds without the stream, an occasional resync with it
+  useEffect(() => {
+    if (!autoRefresh) return;
+
+    const interval = setInterval(fetchSystemData, streamLive ? 300000 : 30000);
     
     return () => clearInterval(interval);
-  }, [autoRefresh]);
+  }, [autoRefresh, streamLive, fetchSystemData]);
 
   // Handle manual refresh
   const handleRefresh = () => {
@@ -60,6 +168,41 @@ const Dashboard = () => {
     setAutoRefresh(!autoRefresh);
   };
 
+  // Groups of the PCs on screen: named alphabetically, ungrouped last
+  const allPCs = systemData?.latest || [];
+  const groups = [...new Set(allPCs.map(groupOf))]
+    .sort((a, b) => (a === null) - (b === null) || String(a).localeCompare(String(b)));
+  const hasGroups = groups.some(group => group !== null);
+  const visibleGroups = groups.filter(group => selectedGroup === ALL_GROUPS || groupKey(group) === selectedGroup);
+  const visiblePCs = selectedGroup === ALL_GROUPS
+    ? allPCs
+    : allPCs.filter(pc => groupKey(groupOf(pc)) === selectedGroup);
+
+  // 24-hour averages per group from the API
+  const statsByGroup = new Map(groupStats.map(g => [groupKey(g.group), g]));
+  const overviewData = selectedGroup === ALL_GROUPS
+    ? systemData?.overview
+    : statsByGroup.get(selectedGroup) || { avgCpu: 0, avgRam: 0, avgDisk: 0 };
+
+  const forecastsByPc = new Map((forecast?.pcs || []).map(pc => [pc.pcId, pc]));
+  const visibleForecasts = (forecast?.pcs || []).filter(pc => visiblePCs.some(visible => visible.pcId === pc.pcId));
+
+  const renderCards = (pcs) => (
+    <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
+      {pcs.map((pcData) => (
+        <PCCard
+          key={pcData.pcId}
+          pcId={pcData.pcId}
+          latestData={pcData}
+          live={streamLive}
+          liveAnomalies={liveAnomalies.filter(anomaly => anomaly.pcId === pcData.pcId)}
+          forecast={forecastsByPc.get(pcData.pcId)}
+          onDataUpdate={fetchSystemData}
+        />
+      ))}
+    </div>
+  );
+
   // Loading state
   if (loading && !systemData) {
     return (
@@ -128,10 +271,19 @@ const Dashboard = () => {
               <h1 className="text-2xl font-bold text-white">Multi-PC System Monitoring</h1>
               <p className="text-gray-400 text-sm">
                 Real-time monitoring of {systemData?.latest?.length || 0} PC{systemData?.latest?.length !== 1 ? 's' : ''}
+                {systemData?.statusCounts && (
+                  <span>
+                    {' '}· {systemData.statusCounts.online} online
+                    {systemData.statusCounts.stale > 0 && ` · ${systemData.statusCounts.stale} stale`}
+                    {systemData.statusCounts.offline > 0 && ` · ${systemData.statusCounts.offline} offline`}
+                  </span>
+                )}
               </p>
             </div>
             
             <div className="flex items-center space-x-4">
+              <Link to="/compare" className="text-blue-400 hover:text-blue-300 text-sm no-underline">Compare PCs</Link>
+
               {/* Auto-refresh toggle */}
               <div className="flex items-center space-x-2">
                 <label className="text-sm text-gray-300">Auto-refresh</label>
@@ -191,9 +343,30 @@ const Dashboard = () => {
                   Last update: {lastUpdate ? lastUpdate.toLocaleTimeString() : 'Never'}
                 </div>
                 <div className="text-sm text-gray-400">
-                  Auto-refresh: {autoRefresh ? 'On' : 'Off'}
+                  Auto-refresh: {!autoRefresh ? 'Off' : streamLive ? 'Live' : 'Polling'}
                 </div>
               </div>
+              {hasGroups && (
+                <div className="flex items-center space-x-2">
+                  <label className="text-sm text-gray-300">Group</label>
+                  <select
+                    value={selectedGroup}
+                    onChange={(e) => setSelectedGroup(e.target.value)}
+                    className="bg-gray-700 text-white text-sm rounded px-3 py-1 border border-gray-600"
+                  >
+                    <option value={ALL_GROUPS}>All groups</option>
+                    {groups.map(group => (
+                      <option key={groupKey(group)} value={groupKey(group)}>
+                        {groupLabel(group)} ({allPCs.filter(pc => groupOf(pc) === group).length})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <ExportButton
+                params={{ group: selectedGroup === ALL_GROUPS ? undefined : selectedGroup }}
+                ranges={EXPORT_RANGES}
+              />
               {error && (
                 <button
                   onClick={handleRefresh}
@@ -209,25 +382,55 @@ const Dashboard = () => {
         {/* Overview Chart */}
         <div className="mb-8">
           <OverviewChart 
-            overviewData={systemData?.overview} 
-            onDataUpdate={fetchSystemData}
+            overviewData={overviewData} 
+            group={selectedGroup === ALL_GROUPS ? undefined : selectedGroup}
           />
         </div>
 
-        {/* PC Cards Grid */}
+        {/* PCs ranked by usage percentiles */}
         <div className="mb-8">
-          <h2 className="text-xl font-semibold text-white mb-6">Individual PC Status</h2>
-          {systemData?.latest && systemData.latest.length > 0 ? (
-            <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
-              {systemData.latest.map((pcData) => (
-                <PCCard
-                  key={pcData.pcId}
-                  pcId={pcData.pcId}
-                  latestData={pcData}
-                  onDataUpdate={fetchSystemData}
-                />
-              ))}
-            </div>
+          <RankingPanel group={selectedGroup === ALL_GROUPS ? undefined : selectedGroup} />
+        </div>
+
+        {/* Disks predicted to fill up */}
+        <div className="mb-8">
+          <CapacityPanel forecast={forecast} pcs={visibleForecasts} />
+        </div>
+
+        {/* Metrics reported by agent plugins (hidden when there are none) */}
+        <CustomMetricsPanel
+          group={selectedGroup === ALL_GROUPS ? undefined : selectedGroup}
+          className="mb-8"
+        />
+
+        {/* PC Cards: one section per group with a subtotal, or a flat grid without groups */}
+        <div className="mb-8">
+          {!hasGroups && <h2 className="text-xl font-semibold text-white mb-6">Individual PC Status</h2>}
+          {visiblePCs.length > 0 ? (
+            hasGroups ? (
+              visibleGroups.map(group => {
+                const pcs = visiblePCs.filter(pc => groupOf(pc) === group);
+                if (pcs.length === 0) return null;
+
+                const stats = statsByGroup.get(groupKey(group));
+                const counts = countStatuses(pcs);
+
+                return (
+                  <section key={groupKey(group)} className="mb-8">
+                    <div className="flex items-center justify-between mb-4">
+                      <h2 className="text-xl font-semibold text-white">{groupLabel(group)}</h2>
+                      <p className="text-sm text-gray-400">
+                        {pcs.length} PC{pcs.length !== 1 ? 's' : ''} · {counts.online} online
+                        {counts.stale > 0 && ` · ${counts.stale} stale`}
+                        {counts.offline > 0 && ` · ${counts.offline} offline`}
+                        {stats && ` · 24h avg CPU ${dataUtils.formatPercentage(stats.avgCpu)}, RAM ${dataUtils.formatPercentage(stats.avgRam)}, Disk ${dataUtils.formatPercentage(stats.avgDisk)}`}
+                      </p>
+                    </div>
+                    {renderCards(pcs)}
+                  </section>
+                );
+              })
+            ) : renderCards(visiblePCs)
           ) : (
             <div className="bg-gray-800 border border-gray-700 rounded-lg p-8 text-center">
               <p className="text-gray-400">No PC data available</p>
@@ -239,7 +442,7 @@ const Dashboard = () => {
         <footer className="text-center text-gray-400 text-sm">
           <p>Multi-PC System Monitoring Dashboard v1.0.0</p>
           <p className="mt-1">
-            Data retention: 24 hours | Refresh interval: 30 seconds
+            Updates: {streamLive ? 'live stream' : 'polling every 30 seconds'}
           </p>
         </footer>
       </main>
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { devicesAPI } from '../utils/api';
+
+// Session storage key of the admin token, so it's asked for once per browser session
+const ADMIN_TOKEN_KEY = 'pcm-admin-token';
+
+const FIELDS = [
+  { name: 'displayName', label: 'Display name' },
+  { name: 'location', label: 'Location' },
+  { name: 'owner', label: 'Owner' },
+  { name: 'group', label: 'Group' },
+  { name: 'tags', label: 'Tags (comma separated)' }
+];
+
+const inputClass = 'bg-gray-700 text-white rounded px-2 py-1 border border-gray-600';
+
+/**
+ * DeviceEditForm Component
+ * Edits the display name, location, owner, group and tags of a PC through
+ * PATCH /api/devices/:pcId. The endpoint needs the backend's ADMIN_TOKEN, which
+ * the form asks for and keeps for the browser session.
+ */
+const DeviceEditForm = ({ pcId, device = {}, onSaved, onCancel }) => {
+  const [values, setValues] = useState({
+    displayName: device.displayName || '',
+    location: device.location || '',
+    owner: device.owner || '',
+    group: device.group || '',
+    tags: (device.tags || []).join(', ')
+  });
+  const [adminToken, setAdminToken] = useState(() => sessionStorage.getItem(ADMIN_TOKEN_KEY) || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      // Empty text fields clear the stored value
+      const tags = values.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+      const response = await devicesAPI.updateDevice(pcId, { ...values, tags }, adminToken);
+      sessionStorage.setItem(ADMIN_TOKEN_KEY, adminToken);
+      onSaved(response.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={save} className="space-y-2 mb-4">
+      {FIELDS.map(({ name, label }) => (
+        <div key={name} className="flex items-center justify-between text-gray-300">
+          <label htmlFor={`device-${name}`}>{label}</label>
+          <input
+            id={`device-${name}`}
+            value={values[name]}
+            onChange={(e) => setValues({ ...values, [name]: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      ))}
+      <div className="flex items-center justify-between text-gray-300">
+        <label htmlFor="device-admin-token">Admin token</label>
+        <input
+          id="device-admin-token"
+          type="password"
+          value={adminToken}
+          onChange={(e) => setAdminToken(e.target.value)}
+          className={inputClass}
+        />
+      </div>
+
+      {error && <p className="text-red-400">{error}</p>}
+
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1 rounded text-sm bg-gray-700 text-gray-300">Cancel</button>
+        <button type="submit" disabled={saving || !adminToken} className="px-3 py-1 rounded text-sm bg-blue-600 text-white">
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default DeviceEditForm;
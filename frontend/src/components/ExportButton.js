@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { exportAPI } from '../utils/api';
+
+const FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'ndjson', label: 'NDJSON' }
+];
+
+/**
+ * ExportButton Component
+ * Download links for the sample export; the browser streams the file, so
+ * large exports never pass through the app's memory
+ * @param {Object} params - Export query (pcId / group / tag / hours ...)
+ * @param {Array} [ranges] - { label, hours } choices; without them params.hours is used
+ */
+const ExportButton = ({ params, ranges }) => {
+  const [open, setOpen] = useState(false);
+  const [hours, setHours] = useState(ranges ? ranges[0].hours : params.hours);
+
+  const toggleButton = (active) => `px-2 py-1 rounded text-xs ${
+    active ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'
+  }`;
+
+  return (
+    <div className="flex items-center space-x-2">
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-3 py-1 rounded text-sm bg-gray-700 text-gray-300 hover:bg-gray-600"
+      >
+        Export {open ? '▾' : '▸'}
+      </button>
+      {open && ranges && ranges.map(range => (
+        <button key={range.hours} onClick={() => setHours(range.hours)} className={toggleButton(hours === range.hours)}>
+          {range.label}
+        </button>
+      ))}
+      {open && FORMATS.map(({ format, label }) => (
+        <a
+          key={format}
+          href={exportAPI.getExportUrl({ ...params, hours: ranges ? hours : params.hours, format })}
+          download
+          className="text-blue-400 hover:text-blue-300 text-sm"
+        >
+          {label}
+        </a>
+      ))}
+    </div>
+  );
+};
+
+export default ExportButton;
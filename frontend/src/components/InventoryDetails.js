@@ -0,0 +1,51 @@
+import React from 'react';
+import { dataUtils } from '../utils/api';
+
+/**
+ * InventoryDetails Component
+ * Hardware / OS inventory reported by the agent, one row per item
+ */
+const InventoryDetails = ({ inventory }) => (
+  <>
+    <div className="flex justify-between text-gray-300">
+      <span>OS</span>
+      <span className="text-gray-400">
+        {[inventory.os?.distro, inventory.os?.release, inventory.os?.arch].filter(Boolean).join(' ')}
+        {inventory.os?.kernel ? ` (kernel ${inventory.os.kernel})` : ''}
+      </span>
+    </div>
+    {inventory.cpu && (
+      <div className="flex justify-between text-gray-300">
+        <span>CPU</span>
+        <span className="text-gray-400">
+          {inventory.cpu.brand} · {inventory.cpu.physicalCores} physical / {inventory.cpu.cores} logical cores
+          {inventory.cpu.speed ? ` · ${inventory.cpu.speed} GHz` : ''}
+        </span>
+      </div>
+    )}
+    <div className="flex justify-between text-gray-300">
+      <span>Memory</span>
+      <span className="text-gray-400">{dataUtils.formatBytes(inventory.totalRam)}</span>
+    </div>
+    {inventory.disks?.map(d => (
+      <div key={d.name} className="flex justify-between text-gray-300">
+        <span>{d.name}</span>
+        <span className="text-gray-400">{d.type} · {dataUtils.formatBytes(d.size)}</span>
+      </div>
+    ))}
+    {inventory.interfaces?.map(i => (
+      <div key={i.iface} className="flex justify-between text-gray-300">
+        <span>{i.iface}</span>
+        <span className="text-gray-400">{[i.ip4, i.ip6, i.mac].filter(Boolean).join(' · ')}</span>
+      </div>
+    ))}
+    <div className="flex justify-between text-gray-300">
+      <span>Agent</span>
+      <span className="text-gray-400">
+        v{inventory.agentVersion || '?'} · reported {dataUtils.formatRelativeTime(inventory.reportedAt)}
+      </span>
+    </div>
+  </>
+);
+
+export default InventoryDetails;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import {
   LineChart,
   Line,
@@ -13,75 +13,73 @@ import {
   Pie,
   Cell
 } from 'recharts';
-import { systemDataAPI, dataUtils } from '../utils/api';
+import { systemDataAPI, errorUtils } from '../utils/api';
+
+// Ranges offered above the chart; the backend picks the bucket size
+const RANGES = [
+  { label: '24h', hours: 24 },
+  { label: '7d', hours: 7 * 24 },
+  { label: '30d', hours: 30 * 24 }
+];
+
+// Per-bucket statistics returned by the series endpoint
+const STATS = ['avg', 'p95', 'max', 'min'];
+
+// How often the series is re-fetched
+const REFRESH_INTERVAL_MS = 60000;
+
+// Axis label for a bucket start: time of day for short ranges, date (and time) for longer ones
+const formatBucket = (time, bucketSeconds, hours) => {
+  const date = new Date(time);
+  if (hours <= 24) {
+    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+  }
+  if (bucketSeconds >= 86400) {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  }
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', hour12: false });
+};
 
 /**
  * OverviewChart Component
+ * Fleet-wide (or group-wide) cpu / ram / disk over time from the backend's
+ * series endpoint, with a choice of range and per-bucket statistic
  */
-const OverviewChart = ({ overviewData }) => {
-  const [historicalOverview, setHistoricalOverview] = useState([]);
-  const [loading, setLoading] = useState(false);
+const OverviewChart = ({ overviewData, group }) => {
+  const [chartType, setChartType] = useState('line');
+  const [hours, setHours] = useState(24);
+  const [stat, setStat] = useState('avg');
+  const [series, setSeries] = useState(null);
   const [error, setError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
-  const [chartType, setChartType] = useState('line');
-
-  // Calculate hourly averages
-  const calculateHourlyAverages = (pcData) => {
-    const now = new Date();
-    const hourlyAverages = [];
-
-    for (let i = 23; i >= 0; i--) {
-      const hourStart = new Date(now.getTime() - i * 60 * 60 * 1000);
-      const hourEnd = new Date(now.getTime() - (i - 1) * 60 * 60 * 1000);
-
-      const pcsInHour = pcData.filter(pc => {
-        const pcTime = new Date(pc.createdAt);
-        return pcTime >= hourStart && pcTime < hourEnd;
-      });
-
-      if (pcsInHour.length > 0) {
-        hourlyAverages.push({
-          hour: hourStart.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: false
-          }),
-          cpu: dataUtils.calculateAverage(pcsInHour.map(pc => pc.cpu)),
-          ram: dataUtils.calculateAverage(pcsInHour.map(pc => pc.ram)),
-          disk: dataUtils.calculateAverage(pcsInHour.map(pc => pc.disk))
-        });
-      }
-    }
-
-    return hourlyAverages;
-  };
-
-  // ✅ FIXED: wrapped in useCallback
-  const fetchHistoricalOverview = useCallback(async () => {
-    setLoading(true);
-    setError(null);
 
+  const fetchSeries = useCallback(async () => {
     try {
-      const response = await systemDataAPI.getData({ hours: 24 });
-      if (response.success && response.data.latest) {
-        const hourlyData = calculateHourlyAverages(response.data.latest);
-        setHistoricalOverview(hourlyData);
+      const response = await systemDataAPI.getSeries({ hours, group });
+      if (response.success) {
+        setSeries(response.data);
+        setError(null);
         setLastUpdate(new Date());
       }
     } catch (err) {
-      setError(err.message);
-      console.error(err);
-    } finally {
-      setLoading(false);
+      setError(errorUtils.getErrorMessage(err));
     }
-  }, []);
+  }, [hours, group]);
 
-  // ✅ FIXED dependency
   useEffect(() => {
-    fetchHistoricalOverview();
-    const interval = setInterval(fetchHistoricalOverview, 60000);
+    fetchSeries();
+    const interval = setInterval(fetchSeries, REFRESH_INTERVAL_MS);
     return () => clearInterval(interval);
-  }, [fetchHistoricalOverview]);
+  }, [fetchSeries]);
+
+  const chartData = useMemo(() => (series?.points || []).map(point => ({
+    time: formatBucket(point.time, series.bucket, hours),
+    cpu: point.cpu[stat],
+    ram: point.ram[stat],
+    disk: point.disk[stat]
+  })), [series, stat, hours]);
+
+  const hasData = series?.points?.some(point => point.pcs > 0);
 
   if (!overviewData) {
     return <p className="text-gray-400">Loading overview...</p>;
@@ -93,49 +91,65 @@ const OverviewChart = ({ overviewData }) => {
     { name: 'Disk', value: overviewData.avgDisk, color: '#f59e0b' }
   ];
 
+  const toggleButton = (active) => `px-3 py-1 rounded text-sm ${
+    active ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'
+  }`;
+
   return (
     <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
       <h3 className="text-xl font-semibold text-white mb-4">System Overview</h3>
 
-      {/* Chart type buttons */}
-      <div className="flex space-x-2 mb-4">
-        {['line', 'bar', 'pie'].map(type => (
-          <button
-            key={type}
-            onClick={() => setChartType(type)}
-            className={`px-3 py-1 rounded text-sm ${
-              chartType === type
-                ? 'bg-blue-600 text-white'
-                : 'bg-gray-700 text-gray-300'
-            }`}
-          >
-            {type.toUpperCase()}
-          </button>
-        ))}
+      {/* Chart type, range and statistic */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex space-x-2">
+          {['line', 'bar', 'pie'].map(type => (
+            <button key={type} onClick={() => setChartType(type)} className={toggleButton(chartType === type)}>
+              {type.toUpperCase()}
+            </button>
+          ))}
+        </div>
+        {chartType !== 'pie' && (
+          <div className="flex space-x-4">
+            <div className="flex space-x-2">
+              {RANGES.map(range => (
+                <button key={range.hours} onClick={() => setHours(range.hours)} className={toggleButton(hours === range.hours)}>
+                  {range.label}
+                </button>
+              ))}
+            </div>
+            <div className="flex space-x-2">
+              {STATS.map(s => (
+                <button key={s} onClick={() => setStat(s)} className={toggleButton(stat === s)}>
+                  {s.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
-      {loading ? (
-        <p className="text-gray-400">Loading chart…</p>
-      ) : error ? (
+      {chartType !== 'pie' && error && !series ? (
         <p className="text-red-400">{error}</p>
+      ) : chartType !== 'pie' && !hasData ? (
+        <p className="text-gray-400">{series ? 'No data in this range' : 'Loading series...'}</p>
       ) : (
         <ResponsiveContainer width="100%" height={300}>
           {chartType === 'line' && (
-            <LineChart data={historicalOverview}>
+            <LineChart data={chartData}>
               <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="hour" />
+              <XAxis dataKey="time" />
               <YAxis domain={[0, 100]} />
               <Tooltip />
-              <Line dataKey="cpu" stroke="#10b981" />
-              <Line dataKey="ram" stroke="#3b82f6" />
-              <Line dataKey="disk" stroke="#f59e0b" />
+              <Line dataKey="cpu" stroke="#10b981" dot={false} />
+              <Line dataKey="ram" stroke="#3b82f6" dot={false} />
+              <Line dataKey="disk" stroke="#f59e0b" dot={false} />
             </LineChart>
           )}
 
           {chartType === 'bar' && (
-            <BarChart data={historicalOverview}>
+            <BarChart data={chartData}>
               <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="hour" />
+              <XAxis dataKey="time" />
               <YAxis domain={[0, 100]} />
               <Tooltip />
               <Bar dataKey="cpu" fill="#10b981" />
@@ -164,11 +178,12 @@ const OverviewChart = ({ overviewData }) => {
         </ResponsiveContainer>
       )}
 
-      <p className="text-gray-400 text-sm mt-3">
+      <p className="text-gray-400 text-sm mt-2">
+        {chartType !== 'pie' && series && `${stat.toUpperCase()} per ${series.bucket >= 3600 ? `${series.bucket / 3600}h` : `${series.bucket / 60}m`} bucket · `}
         Last updated: {lastUpdate ? lastUpdate.toLocaleString() : '—'}
       </p>
     </div>
   );
 };
 
-export default OverviewChart;
\ No newline at end of file
+export default OverviewChart;
@@ -1,13 +1,82 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import {
-  LineChart, Line, XAxis, YAxis, CartesianGrid,
-  Tooltip, ResponsiveContainer,
+  ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid,
+  Tooltip, ResponsiveContainer, ReferenceDot,
   PieChart, Pie, Cell
 } from 'recharts';
-import { systemDataAPI, dataUtils } from '../utils/api';
+import { Link } from 'react-router-dom';
+import { systemDataAPI, anomaliesAPI, dataUtils } from '../utils/api';
+import ExportButton from './ExportButton';
+import InventoryDetails from './InventoryDetails';
 
-const PCCard = ({ pcId, latestData }) => {
+// History ranges; beyond 24 hours the backend answers from 5-minute / hourly rollups
+const HISTORY_RANGES = [
+  { label: '24h', hours: 24 },
+  { label: '7d', hours: 7 * 24 },
+  { label: '30d', hours: 30 * 24 },
+  { label: '90d', hours: 90 * 24 }
+];
+
+// Horizontal usage bar for per-core / per-disk percentages
+const UsageBar = ({ value }) => (
+  <div className="w-full bg-gray-700 rounded h-3">
+    <div
+      className="rounded h-3"
+      style={{ width: `${Math.min(value || 0, 100)}%`, backgroundColor: dataUtils.getStatusColor(value) }}
+    ></div>
+  </div>
+);
+
+// Collapsible block for the extended metrics
+const DetailSection = ({ title, open, onToggle, children }) => (
+  <div className="border-t border-gray-700 pt-2 mt-2">
+    <button
+      onClick={onToggle}
+      className="w-full flex items-center justify-between text-sm text-gray-300 py-1 focus:outline-none"
+    >
+      <span>{title}</span>
+      <span>{open ? '▾' : '▸'}</span>
+    </button>
+    {open && <div className="space-y-2 mt-2 text-sm">{children}</div>}
+  </div>
+);
+
+// Top-processes table of one snapshot, sorted by CPU or memory
+const ProcessTable = ({ processes }) => (
+  <table className="w-full text-xs">
+    <thead>
+      <tr className="text-gray-400">
+        <th className="text-left">Process</th>
+        <th className="text-right">PID</th>
+        <th className="text-right">CPU</th>
+        <th className="text-right">Memory</th>
+      </tr>
+    </thead>
+    <tbody className="text-gray-300">
+      {processes.map(p => (
+        <tr key={p.pid}>
+          <td className="text-left">{p.name}{p.user ? <span className="text-gray-500"> ({p.user})</span> : null}</td>
+          <td className="text-right">{p.pid}</td>
+          <td className="text-right">{dataUtils.formatPercentage(p.cpu)}</td>
+          <td className="text-right">{dataUtils.formatBytes(p.memRss)}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Line color per metric; anomaly markers are outlined in it
+const METRIC_COLORS = { cpu: '#10b981', ram: '#3b82f6', disk: '#f59e0b' };
+
+const PCCard = ({ pcId, latestData, live = false, liveAnomalies = [], forecast }) => {
   const [historicalData, setHistoricalData] = useState([]);
+  const [anomalies, setAnomalies] = useState([]);
+  const [rangeHours, setRangeHours] = useState(24);
+  const [resolution, setResolution] = useState('raw');
+  const [openSections, setOpenSections] = useState({});
+  const [processSnapshot, setProcessSnapshot] = useState(null); // null = latest sample
+  const [processSort, setProcessSort] = useState('byCpu');
+  const [processError, setProcessError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -21,85 +90,364 @@ const PCCard = ({ pcId, latestData }) => {
     setError(null);
 
     try {
-      const response = await systemDataAPI.getData({ pcId, hours: 24 });
+      const [response, anomaliesResponse] = await Promise.all([
+        systemDataAPI.getData({ pcId, hours: rangeHours }),
+        anomaliesAPI.getAnomalies({ pcId, hours: rangeHours })
+      ]);
       if (response.success) {
         setHistoricalData(response.data.historical || []);
+        setResolution(response.data.resolution || 'raw');
         setLastUpdate(new Date());
       }
+      if (anomaliesResponse.success) setAnomalies(anomaliesResponse.data);
     } catch (err) {
       setError(err.message);
     } finally {
       setLoading(false);
     }
-  }, [pcId]);
+  }, [pcId, rangeHours]);
 
-  // ✅ FIXED useEffect
+  // ✅ FIXED useEffect — polls only while the live stream is down
   useEffect(() => {
     fetchHistoricalData();
+    if (live) return;
     const interval = setInterval(fetchHistoricalData, 30000);
     return () => clearInterval(interval);
-  }, [fetchHistoricalData]);
+  }, [fetchHistoricalData, live]);
+
+  // Append streamed samples to the history instead of re-fetching it (raw samples only)
+  // Samples that fall out of the selected range are dropped, so an open tab doesn't grow
+  useEffect(() => {
+    if (!live || resolution !== 'raw' || !latestData?.measuredAt) return;
+
+    setHistoricalData(prev => {
+      const last = prev[prev.length - 1];
+      if (last && new Date(latestData.measuredAt) <= new Date(last.measuredAt)) return prev;
 
+      const cutoff = Date.now() - rangeHours * 60 * 60 * 1000;
+      return [...prev.filter(item => new Date(item.measuredAt).getTime() >= cutoff), latestData];
+    });
+    setLastUpdate(new Date());
+  }, [live, resolution, rangeHours, latestData]);
+
+  // Clicking a chart point loads the process snapshot taken at (or just before) that time
+  const selectPoint = useCallback(async (measuredAt) => {
+    setOpenSections(prev => ({ ...prev, processes: true }));
+    setProcessError(null);
+
+    try {
+      const response = await systemDataAPI.getProcesses(pcId, measuredAt);
+      if (response.success) setProcessSnapshot(response.data);
+    } catch (err) {
+      setProcessSnapshot(null);
+      setProcessError(`No process snapshot stored for ${dataUtils.formatTimestamp(measuredAt)}`);
+    }
+  }, [pcId]);
+
+  // Raw history shows the latest 20 samples; rollups show the whole range
+  const isRaw = resolution === 'raw';
   const chartData = historicalData.map(item => ({
-    time: new Date(item.createdAt).toLocaleTimeString(),
+    time: isRaw
+      ? new Date(item.measuredAt).toLocaleTimeString()
+      : new Date(item.measuredAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }),
+    measuredAt: item.measuredAt,
     cpu: item.cpu,
     ram: item.ram,
-    disk: item.disk
-  })).slice(-20);
+    disk: item.disk,
+    // Spread between reports (local sampling) or within a rollup bucket
+    cpuRange: dataUtils.getMetricRange(item, 'cpu'),
+    ramRange: dataUtils.getMetricRange(item, 'ram')
+  })).slice(isRaw ? -20 : 0);
+
+  // Anomalies (fetched + streamed) pinned to the chart point they fall in
+  const anomalyMarkers = [...anomalies, ...liveAnomalies.filter(a => !anomalies.some(b => b._id === a._id))]
+    .map(anomaly => {
+      const at = new Date(anomaly.measuredAt);
+      const point = [...chartData].reverse().find(p => new Date(p.measuredAt) <= at);
+      if (!point) return null; // before the shown range
+      return { id: anomaly._id, time: point.time, value: anomaly.value, metric: anomaly.metric };
+    })
+    .filter(Boolean);
+
+  // Stale / offline PCs show their last known readings greyed out
+  const status = latestData?.status || 'online';
+  const isLive = status === 'online';
 
-  // ✅ Pie chart data
-  const makeUsage = (value) => ([
-    { name: 'Used', value, color: dataUtils.getStatusColor(value) },
+  // ✅ Pie chart data (null without a recent reading, e.g. a long-offline PC
+  // without rollups)
+  const makeUsage = (value) => (value == null ? null : [
+    { name: 'Used', value, color: isLive ? dataUtils.getStatusColor(value) : '#6b7280' },
     { name: 'Free', value: 100 - value, color: '#374151' }
   ]);
 
+  // Central agent config the agent runs (and whether an update is pending)
+  const agentConfig = dataUtils.describeConfigVersion(latestData || {});
+
+  // Disk-full forecast under the disk chart, while the disk is filling up
+  const diskForecast = forecast?.daysToFull != null ? {
+    text: dataUtils.formatDaysToFull(forecast.daysToFull),
+    color: dataUtils.getDaysToFullColor(forecast.daysToFull)
+  } : null;
+
+  const toggleSection = (name) => setOpenSections(prev => ({ ...prev, [name]: !prev[name] }));
+
   if (!latestData) return null;
 
+  // Highest local reading since the previous report, under the CPU / RAM charts
+  const peakNote = (metric) => {
+    const peak = latestData.summary?.[metric]?.max;
+    return peak != null ? { text: `peak ${dataUtils.formatPercentage(peak)}`, color: dataUtils.getStatusColor(peak) } : null;
+  };
+
+  // Extended metrics (older agents send none of these)
+  const { cpuCores, disks, network, swap, loadAvg } = latestData;
+  const shownSnapshot = processSnapshot || (latestData.topProcesses ? latestData : null);
+
+  // Inventory and user-edited details (null until the PC has a device record)
+  const device = latestData.device || {};
+  const inventory = device.inventory;
+  const subtitle = [device.displayName ? pcId : null, device.location, device.owner].filter(Boolean).join(' · ');
+  const specs = inventory ? [
+    inventory.cpu?.brand && `${inventory.cpu.manufacturer || ''} ${inventory.cpu.brand}`.trim(),
+    inventory.cpu?.cores && `${inventory.cpu.cores} cores`,
+    inventory.totalRam && `${dataUtils.formatBytes(inventory.totalRam)} RAM`,
+    inventory.interfaces?.find(i => i.ip4)?.ip4
+  ].filter(Boolean).join(' · ') : '';
+
   return (
     <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
 
-      {/* PIE CHARTS (now actually USED ✅) */}
-      <div className="grid grid-cols-3 gap-4 mb-6">
-        {[
-          { label: 'CPU', data: makeUsage(latestData.cpu) },
-          { label: 'RAM', data: makeUsage(latestData.ram) },
-          { label: 'Disk', data: makeUsage(latestData.disk) }
-        ].map(({ label, data }) => (
-          <div key={label} className="text-center">
-            <p className="text-gray-300 mb-2">{label}</p>
-            <ResponsiveContainer width="100%" height={120}>
-              <PieChart>
-                <Pie
-                  data={data}
-                  dataKey="value"
-                  innerRadius={35}
-                  outerRadius={50}
-                >
-                  {data.map((entry, i) => (
-                    <Cell key={i} fill={entry.color} />
-                  ))}
-                </Pie>
-              </PieChart>
-            </ResponsiveContainer>
+      {/* HEADER with reporting status */}
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">
+            <Link to={`/pc/${encodeURIComponent(pcId)}`} className="text-white no-underline hover:text-blue-300">{device.displayName || pcId}</Link>
+          </h3>
+          {subtitle && <p className="text-sm text-gray-400">{subtitle}</p>}
+          {specs && <p className="text-xs text-gray-500">{specs}</p>}
+          {device.tags?.length > 0 && (
+            <div className="flex space-x-2 mt-1">
+              {device.tags.map(tag => (
+                <span key={tag} className="px-2 rounded text-xs bg-gray-700 text-gray-300">{tag}</span>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="text-right">
+          <div className="flex items-center justify-end space-x-2">
+            <div
+              className={`w-3 h-3 rounded-full ${status === 'stale' ? 'status-pulse' : ''}`}
+              style={{ backgroundColor: dataUtils.getPCStatusColor(status) }}
+            ></div>
+            <span className="text-sm" style={{ color: dataUtils.getPCStatusColor(status) }}>
+              {dataUtils.getPCStatusText(status)}
+            </span>
           </div>
-        ))}
+          <p className={`text-xs ${agentConfig.pending ? 'text-yellow-400' : 'text-gray-500'}`}>{agentConfig.text}</p>
+        </div>
       </div>
 
-      {/* LINE CHART */}
-      <ResponsiveContainer width="100%" height={200}>
-        <LineChart data={chartData}>
-          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-          <XAxis dataKey="time" stroke="#9ca3af" />
-          <YAxis domain={[0, 100]} stroke="#9ca3af" />
-          <Tooltip />
-          <Line dataKey="cpu" stroke="#10b981" dot={false} />
-          <Line dataKey="ram" stroke="#3b82f6" dot={false} />
-          <Line dataKey="disk" stroke="#f59e0b" dot={false} />
-        </LineChart>
-      </ResponsiveContainer>
+      {!isLive && (
+        <div className="bg-gray-700 rounded p-2 mb-4 text-sm text-gray-300">
+          {status === 'offline' ? 'Offline' : 'Not reporting'} — last seen {dataUtils.formatRelativeTime(latestData.lastSeen)}.
+          Showing last known readings.
+        </div>
+      )}
+
+      <div className={isLive ? '' : 'opacity-60'}>
+        {/* PIE CHARTS (now actually USED ✅) */}
+        <div className="grid grid-cols-3 gap-4 mb-6">
+          {[
+            { label: 'CPU', data: makeUsage(latestData.cpu), note: peakNote('cpu') },
+            { label: 'RAM', data: makeUsage(latestData.ram), note: peakNote('ram') },
+            { label: 'Disk', data: makeUsage(latestData.disk), note: diskForecast }
+          ].map(({ label, data, note }) => (
+            <div key={label} className="text-center">
+              <p className="text-gray-300 mb-2">{label}</p>
+              {data ? (
+                <ResponsiveContainer width="100%" height={120}>
+                  <PieChart>
+                    <Pie
+                      data={data}
+                      dataKey="value"
+                      innerRadius={35}
+                      outerRadius={50}
+                    >
+                      {data.map((entry, i) => (
+                        <Cell key={i} fill={entry.color} />
+                      ))}
+                    </Pie>
+                  </PieChart>
+                </ResponsiveContainer>
+              ) : (
+                <div className="flex items-center justify-center text-gray-500 text-sm" style={{ height: 120 }}>
+                  No recent reading
+                </div>
+              )}
+              {note && <p className="text-xs" style={{ color: note.color }}>{note.text}</p>}
+            </div>
+          ))}
+        </div>
+
+        {/* HISTORY RANGE (the export follows it) */}
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex space-x-2">
+            {HISTORY_RANGES.map(range => (
+              <button
+                key={range.hours}
+                onClick={() => setRangeHours(range.hours)}
+                className={`px-3 py-1 rounded text-sm ${
+                  rangeHours === range.hours
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-700 text-gray-300'
+                }`}
+              >
+                {range.label}
+              </button>
+            ))}
+          </div>
+          <ExportButton params={{ pcId, hours: rangeHours }} />
+        </div>
+
+        {/* LINE CHART with min / max bands around CPU and RAM */}
+        <ResponsiveContainer width="100%" height={200}>
+          <ComposedChart
+            data={chartData}
+            onClick={(e) => e?.activePayload?.[0] && selectPoint(e.activePayload[0].payload.measuredAt)}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis dataKey="time" stroke="#9ca3af" />
+            <YAxis domain={[0, 100]} stroke="#9ca3af" />
+            <Tooltip formatter={dataUtils.formatChartValue} />
+            <Area dataKey="cpuRange" name="cpu min – max" stroke="none" fill={METRIC_COLORS.cpu} fillOpacity={0.15} isAnimationActive={false} />
+            <Area dataKey="ramRange" name="ram min – max" stroke="none" fill={METRIC_COLORS.ram} fillOpacity={0.15} isAnimationActive={false} />
+            <Line dataKey="cpu" stroke={METRIC_COLORS.cpu} dot={false} />
+            <Line dataKey="ram" stroke={METRIC_COLORS.ram} dot={false} />
+            <Line dataKey="disk" stroke={METRIC_COLORS.disk} dot={false} />
+            {anomalyMarkers.map(marker => (
+              <ReferenceDot
+                key={marker.id}
+                x={marker.time}
+                y={marker.value}
+                r={4}
+                fill="#ef4444"
+                stroke={METRIC_COLORS[marker.metric]}
+              />
+            ))}
+          </ComposedChart>
+        </ResponsiveContainer>
+
+        {/* TOP PROCESSES (click a chart point to see an earlier snapshot) */}
+        {(shownSnapshot || processError) && (
+          <DetailSection title="Top processes" open={openSections.processes} onToggle={() => toggleSection('processes')}>
+            <div className="flex items-center justify-between">
+              <span className="text-gray-400 text-xs">
+                {shownSnapshot && !processError
+                  ? `${processSnapshot ? 'At' : 'Latest'} ${dataUtils.formatTimestamp(shownSnapshot.measuredAt)}`
+                  : processError}
+              </span>
+              <div className="flex space-x-2">
+                {(processSnapshot || processError) && (
+                  <button onClick={() => { setProcessSnapshot(null); setProcessError(null); }} className="px-2 py-1 rounded text-xs bg-gray-700 text-gray-300">
+                    Latest
+                  </button>
+                )}
+                {[['byCpu', 'CPU'], ['byMem', 'Memory']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setProcessSort(key)}
+                    className={`px-2 py-1 rounded text-xs ${
+                      processSort === key ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {shownSnapshot && !processError && (
+              <ProcessTable processes={shownSnapshot.topProcesses?.[processSort] || []} />
+            )}
+          </DetailSection>
+        )}
+
+        {/* INVENTORY */}
+        {inventory && (
+          <DetailSection title="Inventory" open={openSections.inventory} onToggle={() => toggleSection('inventory')}>
+            <InventoryDetails inventory={inventory} />
+          </DetailSection>
+        )}
+
+        {/* EXTENDED METRICS */}
+        {cpuCores?.length > 0 && (
+          <DetailSection title={`CPU cores (${cpuCores.length})`} open={openSections.cores} onToggle={() => toggleSection('cores')}>
+            <div className="grid grid-cols-2 gap-2">
+              {cpuCores.map((load, i) => (
+                <div key={i} className="flex items-center space-x-2">
+                  <span className="text-gray-400 text-xs">#{i}</span>
+                  <UsageBar value={load} />
+                  <span className="text-gray-300 text-xs">{dataUtils.formatPercentage(load)}</span>
+                </div>
+              ))}
+            </div>
+          </DetailSection>
+        )}
+
+        {disks?.length > 0 && (
+          <DetailSection title={`Disks (${disks.length})`} open={openSections.disks} onToggle={() => toggleSection('disks')}>
+            {disks.map(d => (
+              <div key={d.mount}>
+                <div className="flex justify-between text-gray-300">
+                  <span>{d.mount}</span>
+                  <span className="text-gray-400">
+                    {dataUtils.formatBytes(d.used)} / {dataUtils.formatBytes(d.total)} ({dataUtils.formatPercentage(d.usage)})
+                  </span>
+                </div>
+                <UsageBar value={d.usage} />
+              </div>
+            ))}
+          </DetailSection>
+        )}
+
+        {network?.length > 0 && (
+          <DetailSection title={`Network (${network.length})`} open={openSections.network} onToggle={() => toggleSection('network')}>
+            {network.map(n => (
+              <div key={n.iface} className="flex justify-between text-gray-300">
+                <span>{n.iface}</span>
+                <span className="text-gray-400">
+                  ↓ {dataUtils.formatRate(n.rxSec)} · ↑ {dataUtils.formatRate(n.txSec)}
+                </span>
+              </div>
+            ))}
+          </DetailSection>
+        )}
+
+        {(swap || loadAvg?.length > 0) && (
+          <DetailSection title="Swap & load" open={openSections.system} onToggle={() => toggleSection('system')}>
+            {swap && (
+              <div>
+                <div className="flex justify-between text-gray-300">
+                  <span>Swap</span>
+                  <span className="text-gray-400">
+                    {dataUtils.formatBytes(swap.used)} / {dataUtils.formatBytes(swap.total)} ({dataUtils.formatPercentage(swap.usage)})
+                  </span>
+                </div>
+                <UsageBar value={swap.usage} />
+              </div>
+            )}
+            {loadAvg?.length > 0 && (
+              <div className="flex justify-between text-gray-300">
+                <span>Load average (1 / 5 / 15 min)</span>
+                <span className="text-gray-400">{loadAvg.map(v => v.toFixed(2)).join(' / ')}</span>
+              </div>
+            )}
+          </DetailSection>
+        )}
+      </div>
 
       <div className="text-sm text-gray-400 mt-4">
         Last updated: {lastUpdate ? dataUtils.formatTimestamp(lastUpdate) : '—'}
+        {!isRaw && ` · ${resolution} averages`}
       </div>
     </div>
   );
@@ -0,0 +1,426 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+  ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer, ReferenceArea, ReferenceLine, ReferenceDot
+} from 'recharts';
+import { systemDataAPI, alertsAPI, anomaliesAPI, dataUtils, errorUtils } from '../utils/api';
+import ExportButton from './ExportButton';
+import InventoryDetails from './InventoryDetails';
+import CustomMetricsPanel from './CustomMetricsPanel';
+import DeviceEditForm from './DeviceEditForm';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Preset ranges; these follow "now" and refresh, custom and zoomed windows stay put
+const RANGES = [
+  { label: '1h', hours: 1 },
+  { label: '6h', hours: 6 },
+  { label: '24h', hours: 24 },
+  { label: '7d', hours: 7 * 24 }
+];
+
+const REFRESH_INTERVAL_MS = 60000;
+
+// Line color per metric; anomaly markers are outlined in it
+const METRIC_COLORS = { cpu: '#10b981', ram: '#3b82f6', disk: '#f59e0b' };
+
+// Narrowest window a drag can zoom into
+const MIN_ZOOM_MS = 2 * 60 * 1000;
+
+// Local "YYYY-MM-DDTHH:mm" for datetime-local inputs
+const toInputValue = (ms) => {
+  const date = new Date(ms);
+  return new Date(ms - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Axis label: time of day within a day, date and hour beyond
+const formatTick = (ms, spanMs) => {
+  const date = new Date(ms);
+  if (spanMs <= 24 * HOUR_MS) {
+    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+  }
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', hour12: false });
+};
+
+// Latest value of a metric; null for long-offline PCs without an hourly rollup left
+const formatReading = (value) => (value == null ? '—' : dataUtils.formatPercentage(value));
+
+/**
+ * PCDetail Component - Full-page view of one PC (/pc/:pcId)
+ * History with a range picker, drag-to-zoom and panning, plus status (with an
+ * editor for the PC's details), inventory, current alerts and the alert history
+ * of the shown window
+ */
+const PCDetail = () => {
+  const { pcId } = useParams();
+  const [range, setRange] = useState({ hours: 24 }); // { hours } or { from, to } in ms
+  const [customFrom, setCustomFrom] = useState('');
+  const [customTo, setCustomTo] = useState('');
+  const [showCustom, setShowCustom] = useState(false);
+  const [data, setData] = useState(null);
+  const [alerts, setAlerts] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [anomalies, setAnomalies] = useState([]);
+  const [selection, setSelection] = useState(null); // { start, end } while dragging
+  const [editing, setEditing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      const params = range.hours
+        ? { pcId, hours: range.hours }
+        : { pcId, from: new Date(range.from).toISOString(), to: new Date(range.to).toISOString() };
+      const windowStart = range.hours ? Date.now() - range.hours * HOUR_MS : range.from;
+
+      const [response, alertsResponse, eventsResponse, anomaliesResponse] = await Promise.all([
+        systemDataAPI.getData(params),
+        alertsAPI.getAlerts({ pcId }),
+        // Events reach back to the window's start; the list is cut to the window below
+        alertsAPI.getEvents({ pcId, hours: Math.max(1, Math.ceil((Date.now() - windowStart) / HOUR_MS)), limit: 1000 }),
+        anomaliesAPI.getAnomalies({ ...params, limit: 5000 })
+      ]);
+
+      if (response.success) {
+        setData(response.data);
+        setError(null);
+      }
+      if (alertsResponse.success) setAlerts(alertsResponse.data);
+      if (eventsResponse.success) setEvents(eventsResponse.data);
+      if (anomaliesResponse.success) setAnomalies(anomaliesResponse.data);
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  }, [pcId, range]);
+
+  useEffect(() => {
+    fetchData();
+    if (!range.hours) return undefined;
+
+    const interval = setInterval(fetchData, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchData, range.hours]);
+
+  // Shown window, as answered by the backend
+  const from = data ? new Date(data.from).getTime() : null;
+  const to = data ? new Date(data.to).getTime() : null;
+  const span = data ? to - from : 0;
+
+  const chartData = useMemo(() => (data?.historical || []).map(point => ({
+    time: new Date(point.measuredAt).getTime(),
+    cpu: point.cpu,
+    ram: point.ram,
+    disk: point.disk,
+    cpuRange: dataUtils.getMetricRange(point, 'cpu'),
+    ramRange: dataUtils.getMetricRange(point, 'ram')
+  })), [data]);
+
+  const windowEvents = events.filter(event => {
+    const at = new Date(event.at).getTime();
+    return at >= from && at <= to;
+  });
+
+  /* ---------- zoom & pan ---------- */
+
+  const handleMouseDown = (e) => {
+    if (e?.activeLabel != null) setSelection({ start: e.activeLabel, end: e.activeLabel });
+  };
+
+  const handleMouseMove = (e) => {
+    if (selection && e?.activeLabel != null) setSelection({ ...selection, end: e.activeLabel });
+  };
+
+  const handleMouseUp = () => {
+    if (selection && Math.abs(selection.end - selection.start) >= MIN_ZOOM_MS) {
+      setRange({ from: Math.min(selection.start, selection.end), to: Math.max(selection.start, selection.end) });
+    }
+    setSelection(null);
+  };
+
+  // Shift the window by half its width; never past now
+  const pan = (direction) => {
+    const shift = (span / 2) * direction;
+    const end = Math.min(to + shift, Date.now());
+    setRange({ from: end - span, to: end });
+  };
+
+  const applyCustom = () => {
+    const customStart = new Date(customFrom).getTime();
+    const customEnd = customTo ? new Date(customTo).getTime() : Date.now();
+    if (isNaN(customStart) || isNaN(customEnd) || customStart >= customEnd) {
+      setError('Custom range: pick a start before the end');
+      return;
+    }
+    setRange({ from: customStart, to: customEnd });
+    setShowCustom(false);
+  };
+
+  const openCustom = () => {
+    if (data) {
+      setCustomFrom(toInputValue(from));
+      setCustomTo(toInputValue(to));
+    }
+    setShowCustom(!showCustom);
+  };
+
+  const toggleButton = (active) => `px-3 py-1 rounded text-sm ${
+    active ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'
+  }`;
+
+  const latest = data?.latest;
+  const device = latest?.device || {};
+  const agentConfig = dataUtils.describeConfigVersion(latest || {});
+  const status = latest?.status || 'offline';
+
+  return (
+    <div className="min-h-screen bg-gray-900">
+      {/* Header */}
+      <header className="bg-gray-800 border-b border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <div>
+              <Link to="/" className="text-blue-400 hover:text-blue-300 text-sm no-underline">← Dashboard</Link>
+              <h1 className="text-2xl font-bold text-white">{device.displayName || pcId}</h1>
+            </div>
+            {latest && (
+              <div className="flex items-center space-x-2">
+                <Link to={`/compare?pcs=${encodeURIComponent(pcId)}`} className="text-blue-400 hover:text-blue-300 text-sm no-underline">
+                  Compare with…
+                </Link>
+                <div className="w-3 h-3 rounded-full" style={{ backgroundColor: dataUtils.getPCStatusColor(status) }}></div>
+                <span className="text-sm" style={{ color: dataUtils.getPCStatusColor(status) }}>
+                  {dataUtils.getPCStatusText(status)}
+                </span>
+              </div>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {error && (
+          <div className="bg-red-900 border border-red-500 rounded-lg p-4 mb-6 text-red-400">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="loading-spinner mx-auto"></div>
+        ) : !latest ? (
+          <div className="bg-gray-800 border border-gray-700 rounded-lg p-8 text-center">
+            <p className="text-gray-400">No data received from {pcId}</p>
+          </div>
+        ) : (
+          <>
+            {/* History */}
+            <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex space-x-2">
+                  {RANGES.map(r => (
+                    <button key={r.hours} onClick={() => setRange({ hours: r.hours })} className={toggleButton(range.hours === r.hours)}>
+                      {r.label}
+                    </button>
+                  ))}
+                  <button onClick={openCustom} className={toggleButton(!range.hours)}>Custom</button>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button onClick={() => pan(-1)} className={toggleButton(false)}>◀ Earlier</button>
+                  <button onClick={() => pan(1)} disabled={!!range.hours} className={toggleButton(false)}>Later ▶</button>
+                  {!range.hours && (
+                    <button onClick={() => setRange({ hours: 24 })} className={toggleButton(false)}>Reset</button>
+                  )}
+                  <ExportButton params={{ pcId, from: new Date(from).toISOString(), to: new Date(to).toISOString() }} />
+                </div>
+              </div>
+
+              {showCustom && (
+                <div className="flex items-center space-x-2 mb-4 text-sm text-gray-300">
+                  <label>From</label>
+                  <input
+                    type="datetime-local"
+                    value={customFrom}
+                    onChange={(e) => setCustomFrom(e.target.value)}
+                    className="bg-gray-700 text-white rounded px-2 py-1 border border-gray-600"
+                  />
+                  <label>To</label>
+                  <input
+                    type="datetime-local"
+                    value={customTo}
+                    onChange={(e) => setCustomTo(e.target.value)}
+                    className="bg-gray-700 text-white rounded px-2 py-1 border border-gray-600"
+                  />
+                  <button onClick={applyCustom} className="bg-blue-600 text-white px-3 py-1 rounded">Apply</button>
+                </div>
+              )}
+
+              <p className="text-gray-400 text-xs mb-2">
+                {new Date(from).toLocaleString()} – {new Date(to).toLocaleString()}
+                {data.resolution !== 'raw' && ` · ${data.resolution} averages`}
+                {anomalies.length > 0 && ` · ${anomalies.length} anomal${anomalies.length === 1 ? 'y' : 'ies'} marked`}
+                {' '}· drag across the chart to zoom
+              </p>
+
+              <ResponsiveContainer width="100%" height={400}>
+                <ComposedChart
+                  data={chartData}
+                  onMouseDown={handleMouseDown}
+                  onMouseMove={handleMouseMove}
+                  onMouseUp={handleMouseUp}
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="time"
+                    type="number"
+                    scale="time"
+                    domain={[from, to]}
+                    tickFormatter={(ms) => formatTick(ms, span)}
+                  />
+                  <YAxis domain={[0, 100]} />
+                  <Tooltip labelFormatter={(ms) => new Date(ms).toLocaleString()} formatter={dataUtils.formatChartValue} />
+                  <Legend />
+                  <Area dataKey="cpuRange" name="CPU min – max" stroke="none" fill={METRIC_COLORS.cpu} fillOpacity={0.15} isAnimationActive={false} />
+                  <Area dataKey="ramRange" name="RAM min – max" stroke="none" fill={METRIC_COLORS.ram} fillOpacity={0.15} isAnimationActive={false} />
+                  <Line dataKey="cpu" name="CPU" stroke={METRIC_COLORS.cpu} dot={false} isAnimationActive={false} />
+                  <Line dataKey="ram" name="RAM" stroke={METRIC_COLORS.ram} dot={false} isAnimationActive={false} />
+                  <Line dataKey="disk" name="Disk" stroke={METRIC_COLORS.disk} dot={false} isAnimationActive={false} />
+                  {anomalies.map(anomaly => (
+                    <ReferenceDot
+                      key={anomaly._id}
+                      x={new Date(anomaly.measuredAt).getTime()}
+                      y={anomaly.value}
+                      r={4}
+                      fill="#ef4444"
+                      stroke={METRIC_COLORS[anomaly.metric]}
+                    />
+                  ))}
+                  {windowEvents.filter(event => event.to === 'firing').map(event => (
+                    <ReferenceLine key={event._id} x={new Date(event.at).getTime()} stroke="#ef4444" strokeDasharray="3 3" />
+                  ))}
+                  {selection && (
+                    <ReferenceArea x1={selection.start} x2={selection.end} fill="#3b82f6" fillOpacity={0.2} />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+              {/* Status */}
+              <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 space-y-2 text-sm">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-lg font-semibold text-white">Status</h3>
+                  {!editing && (
+                    <button onClick={() => setEditing(true)} className="text-blue-400 hover:text-blue-300 text-sm">
+                      Edit details
+                    </button>
+                  )}
+                </div>
+                {editing && (
+                  <DeviceEditForm
+                    pcId={pcId}
+                    device={device}
+                    onSaved={() => { setEditing(false); fetchData(); }}
+                    onCancel={() => setEditing(false)}
+                  />
+                )}
+                <div className="flex justify-between text-gray-300">
+                  <span>Last seen</span>
+                  <span className="text-gray-400">
+                    {dataUtils.formatRelativeTime(latest.lastSeen)} ({new Date(latest.lastSeen).toLocaleString()})
+                  </span>
+                </div>
+                {latest.reportInterval && (
+                  <div className="flex justify-between text-gray-300">
+                    <span>Reporting every</span>
+                    <span className="text-gray-400">{latest.reportInterval}s</span>
+                  </div>
+                )}
+                <div className="flex justify-between text-gray-300">
+                  <span>Agent config</span>
+                  <span className={agentConfig.pending ? 'text-yellow-400' : 'text-gray-400'}>{agentConfig.text}</span>
+                </div>
+                <div className="flex justify-between text-gray-300">
+                  <span>Uptime</span>
+                  <span className="text-gray-400">{dataUtils.formatUptime(latest.uptime)}</span>
+                </div>
+                <div className="flex justify-between text-gray-300">
+                  <span>Latest reading</span>
+                  <span className="text-gray-400">
+                    CPU {formatReading(latest.cpu)} · RAM {formatReading(latest.ram)} · Disk {formatReading(latest.disk)}
+                  </span>
+                </div>
+                {[device.location, device.owner, device.group].some(Boolean) && (
+                  <div className="flex justify-between text-gray-300">
+                    <span>Location / owner / group</span>
+                    <span className="text-gray-400">{[device.location, device.owner, device.group].filter(Boolean).join(' · ')}</span>
+                  </div>
+                )}
+
+                <h3 className="text-lg font-semibold text-white pt-2">Active Alerts</h3>
+                {alerts.length === 0 ? (
+                  <p className="text-gray-400">None</p>
+                ) : alerts.map(alert => (
+                  <div key={alert._id} className="flex justify-between text-gray-300">
+                    <span>{alert.ruleId?.name || 'Deleted rule'}</span>
+                    <span className={alert.state === 'firing' ? 'text-red-400' : 'text-yellow-400'}>
+                      {alert.state} · {dataUtils.formatPercentage(alert.lastValue)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+
+              {/* Inventory */}
+              <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 space-y-2 text-sm">
+                <h3 className="text-lg font-semibold text-white mb-2">Inventory</h3>
+                {device.inventory ? (
+                  <InventoryDetails inventory={device.inventory} />
+                ) : (
+                  <p className="text-gray-400">Not reported by the agent yet</p>
+                )}
+              </div>
+            </div>
+
+            {/* Metrics reported by this PC's agent plugins (hidden when there are none) */}
+            <CustomMetricsPanel pcId={pcId} className="mb-8" />
+
+            {/* Alert history of the shown window */}
+            <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+              <h3 className="text-lg font-semibold text-white mb-4">Alert History</h3>
+              {windowEvents.length === 0 ? (
+                <p className="text-gray-400 text-sm">No alert transitions in this window</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-gray-400">
+                      <th className="text-left">Time</th>
+                      <th className="text-left">Rule</th>
+                      <th className="text-left">Transition</th>
+                      <th className="text-right">Value</th>
+                    </tr>
+                  </thead>
+                  <tbody className="text-gray-300">
+                    {windowEvents.map(event => (
+                      <tr key={event._id}>
+                        <td className="text-left">{new Date(event.at).toLocaleString()}</td>
+                        <td className="text-left">
+                          {event.ruleName}
+                          <span className="text-gray-500"> ({event.metric} {event.operator} {event.threshold})</span>
+                        </td>
+                        <td className={`text-left ${event.to === 'firing' ? 'text-red-400' : ''}`}>
+                          {event.from || 'new'} → {event.to}
+                        </td>
+                        <td className="text-right">{dataUtils.formatPercentage(event.value)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default PCDetail;
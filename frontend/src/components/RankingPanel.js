@@ -0,0 +1,166 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { systemDataAPI, dataUtils, errorUtils } from '../utils/api';
+
+const RANGES = [
+  { label: '24h', hours: 24 },
+  { label: '7d', hours: 7 * 24 },
+  { label: '30d', hours: 30 * 24 }
+];
+
+const METRICS = [
+  { key: 'cpu', label: 'CPU' },
+  { key: 'ram', label: 'RAM' },
+  { key: 'disk', label: 'Disk' }
+];
+
+const THRESHOLD = 80;
+
+// Table columns, each a statistic the ranking can be sorted by
+const COLUMNS = [
+  { stat: 'p50', label: 'p50' },
+  { stat: 'p90', label: 'p90' },
+  { stat: 'p95', label: 'p95' },
+  { stat: 'p99', label: 'p99' },
+  { stat: 'max', label: 'Max' },
+  { stat: 'above', label: `> ${THRESHOLD}%` }
+];
+
+const TOP_N = 10;
+
+// How often the ranking is re-fetched
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+const formatStat = (value) => (value == null ? '—' : dataUtils.formatPercentage(value));
+
+/**
+ * RankingPanel Component
+ * PCs ranked by usage percentiles over a window: the machines that run hot
+ * most of the time, not just on average
+ */
+const RankingPanel = ({ group }) => {
+  const [hours, setHours] = useState(7 * 24);
+  const [metric, setMetric] = useState('cpu');
+  const [stat, setStat] = useState('p95');
+  const [showAll, setShowAll] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const response = await systemDataAPI.getStats({
+        hours,
+        threshold: THRESHOLD,
+        sort: `${metric}.${stat}`,
+        group
+      });
+      if (response.success) {
+        setStats(response.data);
+        setError(null);
+      }
+    } catch (err) {
+      setError(errorUtils.getErrorMessage(err));
+    }
+  }, [hours, metric, stat, group]);
+
+  useEffect(() => {
+    fetchStats();
+    const interval = setInterval(fetchStats, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchStats]);
+
+  const toggleButton = (active) => `px-3 py-1 rounded text-sm ${
+    active ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300'
+  }`;
+
+  const pcs = stats ? (showAll ? stats.pcs : stats.pcs.slice(0, TOP_N)) : [];
+
+  const renderCells = (values) => COLUMNS.map(column => (
+    <td
+      key={column.stat}
+      className="text-right"
+      style={column.stat !== 'above' && values[column.stat] != null ? { color: dataUtils.getStatusColor(values[column.stat]) } : undefined}
+    >
+      {formatStat(values[column.stat])}
+    </td>
+  ));
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+      <h3 className="text-xl font-semibold text-white mb-4">Usage Ranking</h3>
+
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex space-x-2">
+          {METRICS.map(m => (
+            <button key={m.key} onClick={() => setMetric(m.key)} className={toggleButton(metric === m.key)}>
+              {m.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex space-x-2">
+          {RANGES.map(range => (
+            <button key={range.hours} onClick={() => setHours(range.hours)} className={toggleButton(hours === range.hours)}>
+              {range.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && !stats ? (
+        <p className="text-red-400">{error}</p>
+      ) : !stats ? (
+        <p className="text-gray-400">Loading statistics...</p>
+      ) : stats.pcs.length === 0 ? (
+        <p className="text-gray-400">No data in this range</p>
+      ) : (
+        <>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400">
+                <th className="text-left">PC</th>
+                {COLUMNS.map(column => (
+                  <th
+                    key={column.stat}
+                    className={`text-right ${stat === column.stat ? 'text-white' : 'hover:text-gray-300'}`}
+                    style={{ cursor: 'pointer' }}
+                    onClick={() => setStat(column.stat)}
+                  >
+                    {column.label}{stat === column.stat ? ' ▼' : ''}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="text-gray-300">
+              <tr className="text-white font-medium">
+                <td className="text-left">Fleet ({stats.fleet.pcs} PCs)</td>
+                {renderCells(stats.fleet[metric])}
+              </tr>
+              {pcs.map(pc => (
+                <tr key={pc.pcId}>
+                  <td className="text-left">
+                    {pc.device?.displayName || pc.pcId}
+                    {pc.device?.displayName ? <span className="text-gray-500"> ({pc.pcId})</span> : null}
+                  </td>
+                  {renderCells(pc[metric])}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex items-center justify-between mt-2">
+            <p className="text-gray-400 text-xs">
+              {`${dataUtils.formatPercentage(stats.fleet[metric].above)} of fleet samples above ${THRESHOLD}%`}
+              {stats.source !== 'raw' && ` · from ${stats.source} rollups`}
+            </p>
+            {stats.pcs.length > TOP_N && (
+              <button onClick={() => setShowAll(!showAll)} className="text-blue-400 hover:text-blue-300 text-sm">
+                {showAll ? `Top ${TOP_N}` : `Show all ${stats.pcs.length}`}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RankingPanel;
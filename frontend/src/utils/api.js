@@ -78,7 +78,12 @@ export const systemDataAPI = {
    * Get latest and historical data for all PCs or specific PC
    * @param {Object} params - Query parameters
    * @param {string} [params.pcId] - Specific PC ID to get data for
+   * @param {string} [params.group] - Only PCs in this group
+   * @param {string} [params.tag] - Only PCs with this tag
    * @param {number} [params.hours=24] - Hours of historical data to retrieve
+   * @param {string} [params.from] - ISO start of the history window (instead of hours)
+   * @param {string} [params.to] - ISO end of the history window (default now)
+   * @param {string} [params.resolution] - raw, 5m or 1h (picked from the window when omitted)
    * @returns {Promise} API response with system data
    */
   getData: async (params = {}) => {
@@ -103,6 +108,149 @@ export const systemDataAPI = {
     }
   },
 
+  /**
+   * Get fleet-wide (or group-wide) cpu / ram / disk series
+   * @param {Object} params - Query parameters
+   * @param {number} [params.hours=24] - Range in hours
+   * @param {number} [params.bucket] - Bucket size in seconds (picked from hours when omitted)
+   * @param {string} [params.group] - Only PCs in this group ('' for PCs without a group)
+   * @param {string} [params.tag] - Only PCs with this tag
+   * @returns {Promise} API response with { source, bucket, points: [{ time, pcs, cpu, ram, disk }] }
+   */
+  getSeries: async (params = {}) => {
+    try {
+      const response = await api.get('/systemdata/series', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch fleet series: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get one metric of several PCs on a shared time grid
+   * @param {Object} params - Query parameters
+   * @param {string} params.pcIds - Comma-separated PCs (at most 12)
+   * @param {string} [params.metric='cpu'] - cpu, ram or disk
+   * @param {number} [params.hours=24] - Window in hours (or params.from / params.to as ISO times)
+   * @param {number} [params.bucket] - Bucket size in seconds (picked from the window when omitted)
+   * @returns {Promise} API response with { bucket, devices, points: [{ time, values: { [pcId]: value } }] }
+   */
+  getComparison: async (params = {}) => {
+    try {
+      const response = await api.get('/systemdata/compare', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch comparison: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get usage percentiles per PC and fleet-wide, PCs ranked by one statistic
+   * @param {Object} params - Query parameters
+   * @param {number} [params.hours=24] - Window in hours (or params.from / params.to as ISO times)
+   * @param {number} [params.threshold=80] - Usage (%) counted as time above threshold
+   * @param {string} [params.sort='cpu.p95'] - <metric>.<p50|p90|p95|p99|max|above> to rank by
+   * @param {number} [params.limit] - Only the top N PCs
+   * @param {string} [params.group] - Only PCs in this group ('' for PCs without a group)
+   * @param {string} [params.tag] - Only PCs with this tag
+   * @returns {Promise} API response with { fleet, pcs: [{ pcId, samples, cpu: { p50, ..., max, above }, ... }] }
+   */
+  getStats: async (params = {}) => {
+    try {
+      const response = await api.get('/systemdata/stats', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch usage statistics: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get disk-full forecasts: a linear trend of each PC's disk usage, extrapolated to the limit
+   * @param {Object} params - Query parameters
+   * @param {number} [params.hours] - History the trend is fitted to (default: 7 days)
+   * @param {number} [params.limit=100] - Disk usage (%) counted as full
+   * @param {number} [params.days] - Only PCs predicted to be full within N days
+   * @param {string} [params.pcId] - Only this PC
+   * @param {string} [params.group] - Only PCs in this group ('' for PCs without a group)
+   * @param {string} [params.tag] - Only PCs with this tag
+   * @returns {Promise} API response with { limit, pcs: [{ pcId, current, trendPerDay, daysToFull, fullAt, status }] }
+   */
+  getForecast: async (params = {}) => {
+    try {
+      const response = await api.get('/systemdata/forecast', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch disk forecast: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get the custom (plugin) metric names reported recently
+   * @param {Object} params - Query parameters
+   * @param {number} [params.hours=24] - Names reported in the last N hours
+   * @param {string} [params.pcId] - Only this PC
+   * @param {string} [params.group] - Only PCs in this group ('' for PCs without a group)
+   * @param {string} [params.tag] - Only PCs with this tag
+   * @returns {Promise} API response with [{ name, pcIds, values, lastAt }]
+   */
+  getCustomMetricNames: async (params = {}) => {
+    try {
+      const response = await api.get('/systemdata/custom/names', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch custom metric names: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get one custom (plugin) metric per PC on a shared time grid
+   * @param {Object} params - Query parameters
+   * @param {string} params.name - Metric name, e.g. 'build.queue_length'
+   * @param {number} [params.hours=24] - Window in hours (or params.from / params.to as ISO times)
+   * @param {number} [params.bucket] - Bucket size in seconds (default: picked by the backend)
+   * @param {string} [params.pcId] - Only this PC
+   * @param {string} [params.group] - Only PCs in this group
+   * @returns {Promise} API response with { pcIds, devices, truncated, points: [{ time, values: { pcId: avg } }] }
+   */
+  getCustomMetric: async (params = {}) => {
+    try {
+      const response = await api.get('/systemdata/custom', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch custom metric: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get overview statistics per device group
+   * @returns {Promise} API response with [{ group, totalPCs, statusCounts, avgCpu, avgRam, avgDisk }]
+   */
+  getGroups: async () => {
+    try {
+      const response = await api.get('/systemdata/groups');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch group stats: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get the top-processes snapshot of a PC at a point in its history
+   * @param {string} pcId - PC ID
+   * @param {string|Date} [at] - Latest snapshot at or before this time (default: now)
+   * @returns {Promise} API response with { measuredAt, cpu, ram, topProcesses }
+   */
+  getProcesses: async (pcId, at) => {
+    try {
+      const response = await api.get('/systemdata/processes', {
+        params: { pcId, at: at ? new Date(at).toISOString() : undefined }
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch processes: ${error.message}`);
+    }
+  },
+
   /**
    * Get health status of the API
    * @returns {Promise} API response with health status
@@ -133,6 +281,170 @@ export const systemDataAPI = {
   }
 };
 
+/**
+ * Alert states and history
+ */
+export const alertsAPI = {
+  /**
+   * Get current alert states
+   * @param {Object} params - Query parameters
+   * @param {string} [params.pcId] - Only alerts for this PC
+   * @param {string} [params.state] - pending, firing or resolved (default pending and firing)
+   * @returns {Promise} API response with alerts (rule populated as ruleId)
+   */
+  getAlerts: async (params = {}) => {
+    try {
+      const response = await api.get('/alerts', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch alerts: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get alert state transitions, newest first
+   * @param {Object} params - Query parameters
+   * @param {string} [params.pcId] - Only events for this PC
+   * @param {number} [params.hours=24] - Events from the last N hours
+   * @param {number} [params.limit=100] - Max events (up to 1000)
+   * @returns {Promise} API response with [{ ruleName, metric, threshold, severity, from, to, value, at }]
+   */
+  getEvents: async (params = {}) => {
+    try {
+      const response = await api.get('/alerts/events', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch alert events: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Samples that deviated from their PC's baseline
+ */
+export const anomaliesAPI = {
+  /**
+   * Get anomalies, newest first
+   * @param {Object} params - Query parameters
+   * @param {string} [params.pcId] - Only anomalies of this PC
+   * @param {string} [params.metric] - cpu, ram or disk
+   * @param {number} [params.hours=24] - Anomalies from the last N hours (or params.from / params.to as ISO times)
+   * @param {number} [params.limit=500] - Max anomalies (up to 5000)
+   * @returns {Promise} API response with [{ pcId, metric, value, expected, stdDev, score, direction, measuredAt }]
+   */
+  getAnomalies: async (params = {}) => {
+    try {
+      const response = await api.get('/anomalies', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch anomalies: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Device details (display name, location, owner, group, tags)
+ */
+export const devicesAPI = {
+  /**
+   * Update the user-editable details of a PC (admin)
+   * @param {string} pcId - PC identifier
+   * @param {Object} fields - Any of { displayName, location, owner, group, tags }; '' clears a text field
+   * @param {string} adminToken - The backend's ADMIN_TOKEN, sent as X-Admin-Token
+   * @returns {Promise} API response with the updated device record
+   */
+  updateDevice: async (pcId, fields, adminToken) => {
+    try {
+      const response = await api.patch(`/devices/${encodeURIComponent(pcId)}`, fields, {
+        headers: { 'X-Admin-Token': adminToken }
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to update device: ${error.response?.data?.message || error.message}`);
+    }
+  }
+};
+
+/**
+ * Sample export (CSV / NDJSON downloads)
+ */
+export const exportAPI = {
+  /**
+   * URL of an export download; the browser streams it straight to a file
+   * @param {Object} params - Query parameters
+   * @param {string} [params.format='csv'] - csv | ndjson
+   * @param {number} [params.hours=24] - Window in hours (or params.from / params.to as ISO times)
+   * @param {string} [params.resolution] - raw | 5m | 1h (picked from the window when omitted)
+   * @param {string} [params.metrics] - Comma-separated metrics (default cpu,ram,disk)
+   * @param {string} [params.pcId] - Comma-separated PCs
+   * @param {string} [params.group] - Only PCs in this group ('' for PCs without a group)
+   * @param {string} [params.tag] - Only PCs with this tag
+   * @returns {string} Download URL
+   */
+  getExportUrl: (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) query.append(name, value);
+    });
+    return `${API_BASE_URL}/systemdata/export?${query.toString()}`;
+  }
+};
+
+/**
+ * Live update stream (Server-Sent Events)
+ */
+export const streamAPI = {
+  /**
+   * Subscribe to live samples and PC status changes
+   * The browser reconnects automatically after a drop; onStatusChange reports
+   * whether the stream is currently connected so callers can fall back to polling.
+   * @param {Object} handlers - Event handlers
+   * @param {Function} [handlers.onSample] - Called with each new sample
+   * @param {Function} [handlers.onPCStatus] - Called with { pcId, status, previous, lastSeen }
+   * @param {Function} [handlers.onAlert] - Called with each alert transition
+   * @param {Function} [handlers.onAnomaly] - Called with each sample flagged as anomalous
+   * @param {Function} [handlers.onStatusChange] - Called with true (connected) / false (dropped)
+   * @param {string} [pcId] - Only receive events for this PC
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: ({ onSample, onPCStatus, onAlert, onAnomaly, onStatusChange } = {}, pcId) => {
+    if (typeof EventSource === 'undefined') {
+      onStatusChange?.(false);
+      return () => {};
+    }
+
+    const query = pcId ? `?pcId=${encodeURIComponent(pcId)}` : '';
+    const source = new EventSource(`${API_BASE_URL}/stream${query}`);
+
+    const listen = (event, handler) => {
+      if (!handler) return;
+      source.addEventListener(event, (message) => {
+        try {
+          handler(JSON.parse(message.data));
+        } catch (error) {
+          console.error(`Stream ${event} event error:`, error);
+        }
+      });
+    };
+
+    listen('sample', onSample);
+    listen('pc-status', onPCStatus);
+    listen('alert', onAlert);
+    listen('anomaly', onAnomaly);
+
+    source.onopen = () => {
+      console.log('Live stream connected');
+      onStatusChange?.(true);
+    };
+    source.onerror = () => {
+      console.warn('Live stream disconnected, falling back to polling');
+      onStatusChange?.(false);
+    };
+
+    return () => source.close();
+  }
+};
+
 /**
  * Utility functions for data processing
  */
@@ -190,6 +502,33 @@ export const dataUtils = {
     return `${value.toFixed(1)}%`;
   },
 
+  /**
+   * Format a byte count with binary units
+   * @param {number} bytes - Number of bytes
+   * @returns {string} e.g. "512 B", "1.5 GB"
+   */
+  formatBytes: (bytes) => {
+    if (typeof bytes !== 'number' || isNaN(bytes)) return '—';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+  },
+
+  /**
+   * Format a throughput in bytes per second
+   * @param {number|null} bytesPerSecond - Rate (null until the agent has two readings)
+   * @returns {string} e.g. "1.2 MB/s"
+   */
+  formatRate: (bytesPerSecond) => {
+    if (typeof bytesPerSecond !== 'number') return '—';
+    return `${dataUtils.formatBytes(bytesPerSecond)}/s`;
+  },
+
   /**
    * Calculate average from array of numbers
    * @param {number[]} values - Array of numbers
@@ -210,6 +549,103 @@ export const dataUtils = {
     if (!timestamp) return 'Unknown';
     const date = new Date(timestamp);
     return date.toLocaleString();
+  },
+
+  /**
+   * Format how long ago a timestamp was
+   * @param {string|Date} timestamp - Timestamp
+   * @returns {string} e.g. "just now", "5m ago", "3h ago", "2d ago"
+   */
+  formatRelativeTime: (timestamp) => {
+    if (!timestamp) return 'never';
+    const seconds = Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000);
+
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+  },
+
+  /**
+   * Format a disk-full forecast
+   * @param {number} days - Days until the disk is full
+   * @returns {string} e.g. "Full", "<1 day to full", "~12 days to full", ">1 year to full"
+   */
+  formatDaysToFull: (days) => {
+    if (days === 0) return 'Full';
+    if (days < 1) return '<1 day to full';
+    if (days > 365) return '>1 year to full';
+    const rounded = Math.round(days);
+    return `~${rounded} day${rounded !== 1 ? 's' : ''} to full`;
+  },
+
+  /**
+   * Get color for days until a disk is full
+   * @param {number} days - Days until the disk is full
+   * @returns {string} Hex color
+   */
+  getDaysToFullColor: (days) => {
+    if (days < 7) return '#ef4444'; // Red
+    if (days < 30) return '#f59e0b'; // Yellow
+    return '#9ca3af'; // Gray
+  },
+
+  /**
+   * Describe the central agent config a PC runs
+   * @param {Object} pc - Latest data of a PC with configVersion and expectedConfigVersion
+   * @returns {{ text: string, pending: boolean }} pending while the agent hasn't picked up the current version
+   */
+  describeConfigVersion: (pc) => {
+    if (!pc.configVersion) return { text: 'Local config', pending: false };
+    if (!pc.expectedConfigVersion || pc.configVersion === pc.expectedConfigVersion) {
+      return { text: `Config ${pc.configVersion}`, pending: false };
+    }
+    return { text: `Config ${pc.configVersion} → ${pc.expectedConfigVersion} pending`, pending: true };
+  },
+
+  /**
+   * Min / max of a metric around a history point, for drawing a band around its line
+   * Raw samples carry the agent's local sampling summary (cpu / ram), rollup buckets
+   * the min / max of the bucket
+   * @param {Object} point - Raw sample or rollup point from the history endpoint
+   * @param {string} metric - cpu | ram | disk
+   * @returns {number[]|null} [min, max], or null when the point has neither
+   */
+  getMetricRange: (point, metric) => {
+    const min = point.summary?.[metric]?.min ?? point.min?.[metric];
+    const max = point.summary?.[metric]?.max ?? point.max?.[metric];
+    return min != null && max != null ? [min, max] : null;
+  },
+
+  /**
+   * Tooltip value of a chart series: "min – max" for bands, the percentage otherwise
+   * @param {number|number[]} value - Line value or [min, max] band
+   * @returns {string} Formatted value
+   */
+  formatChartValue: (value) => (Array.isArray(value)
+    ? `${dataUtils.formatPercentage(value[0])} – ${dataUtils.formatPercentage(value[1])}`
+    : dataUtils.formatPercentage(value)),
+
+  /**
+   * Get color for a PC reporting status
+   * @param {string} status - online | stale | offline
+   * @returns {string} Hex color
+   */
+  getPCStatusColor: (status) => {
+    if (status === 'online') return '#10b981'; // Green
+    if (status === 'stale') return '#f59e0b'; // Yellow
+    return '#ef4444'; // Red
+  },
+
+  /**
+   * Get label for a PC reporting status
+   * @param {string} status - online | stale | offline
+   * @returns {string} Status label
+   */
+  getPCStatusText: (status) => {
+    if (status === 'online') return 'Online';
+    if (status === 'stale') return 'Stale';
+    return 'Offline';
   }
 };
 